@@ -6,15 +6,27 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const { initializeDatabase } = require('./config/database');
 const redisService = require('./config/redis');
+const { authenticateToken } = require('./middleware/auth');
 
 const authRoutes = require('./routes/auth');
 const fileRoutes = require('./routes/files');
 const folderRoutes = require('./routes/folders');
 const shareRoutes = require('./routes/share');
+const uploadRoutes = require('./routes/uploads');
+const uploadSessionService = require('./services/uploadSessionService');
+const storageReservationService = require('./services/storageReservationService');
+const storageProxy = require('./services/storageProxy');
+const objectCache = require('./services/objectCache');
+const versionService = require('./services/versionService');
+const trashService = require('./services/trashService');
+const activityService = require('./services/activityService');
+const contentIndexService = require('./services/contentIndexService');
 
 const app = express();
 
 app.use(helmet());
+// tus discovery headers, added before CORS answers the OPTIONS request
+app.use('/api/uploads', uploadRoutes.setDiscoveryHeaders);
 app.use(cors({
   origin: function (origin, callback) {
     // Allow requests with no origin (mobile apps, Postman, etc.)
@@ -41,9 +53,18 @@ app.use(cors({
     return callback(new Error(msg), false);
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept'],
-  exposedHeaders: ['Content-Type', 'Content-Length', 'Content-Disposition'],
+  methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: [
+    'Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'X-Folder-Id',
+    // Checksums of single file uploads
+    'X-Checksum-Sha1', 'X-Checksum-Sha256',
+    // tus resumable upload headers
+    'Tus-Resumable', 'Upload-Length', 'Upload-Offset', 'Upload-Metadata', 'Upload-Defer-Length', 'X-HTTP-Method-Override'
+  ],
+  exposedHeaders: [
+    'Content-Type', 'Content-Length', 'Content-Disposition',
+    'Location', 'Tus-Resumable', 'Tus-Version', 'Tus-Extension', 'Tus-Max-Size', 'Upload-Offset', 'Upload-Length', 'Upload-Expires'
+  ],
   preflightContinue: false,
   optionsSuccessStatus: 204
 }));
@@ -82,8 +103,8 @@ app.use((req, res, next) => {
 // Global OPTIONS handler for any missed preflight requests
 app.options('*', (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, POST, PUT, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, Tus-Resumable, Upload-Length, Upload-Offset, Upload-Metadata, Upload-Defer-Length, X-HTTP-Method-Override');
   res.setHeader('Access-Control-Allow-Credentials', 'true');
   res.status(204).end();
 });
@@ -92,7 +113,13 @@ app.use('/api/auth', authRoutes);
 app.use('/api/files', fileRoutes);
 app.use('/api/folders', folderRoutes);
 app.use('/api/share', shareRoutes);
+app.use('/api/uploads', uploadRoutes);
 app.use('/api/storage', require('./routes/storage'));
+app.use('/api/trash', require('./routes/trash'));
+app.use('/api/search', require('./routes/search'));
+app.use('/api/tags', require('./routes/tags'));
+app.use('/api/starred', require('./routes/starred'));
+app.use('/api/recent', require('./routes/recent'));
 
 app.get('/api/health', (req, res) => {
   res.json({ 
@@ -102,6 +129,17 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Storage proxy transfer counts and timings (no file names or user data),
+// for signed-in users only
+app.get('/api/health/storage-proxy', authenticateToken, (req, res) => {
+  res.json(storageProxy.getMetrics());
+});
+
+// Hit and miss counts of the local object cache, for signed-in users only
+app.get('/api/health/object-cache', authenticateToken, (req, res) => {
+  res.json(objectCache.getStats());
+});
+
 app.use((err, req, res, next) => {
   console.error(err.stack);
   res.status(500).json({ 
@@ -118,6 +156,22 @@ async function startServer() {
   try {
     await initializeDatabase();
     await redisService.connect();
+
+    // Abandoned resumable uploads, file versions past their retention age,
+    // files trashed long enough ago and old access events are cleaned up
+    // hourly, and quota reserved by uploads that never finished is swept
+    // every 10 minutes
+    setInterval(() => uploadSessionService.cleanupExpiredSessions(), 60 * 60 * 1000).unref();
+    setInterval(() => versionService.sweepExpiredVersions(), 60 * 60 * 1000).unref();
+    setInterval(() => trashService.purgeExpired(), 60 * 60 * 1000).unref();
+    setInterval(() => activityService.pruneEvents(), 60 * 60 * 1000).unref();
+    setInterval(() => storageReservationService.sweepExpiredReservations(), 10 * 60 * 1000).unref();
+
+    // Contents of new files are indexed as they arrive; files waiting from
+    // before (including ones uploaded before indexing existed) are picked up
+    // on startup and every 10 minutes
+    contentIndexService.start();
+    setInterval(() => contentIndexService.schedule(), 10 * 60 * 1000).unref();
     
     const PORT = process.env.PORT || 5000;
     app.listen(PORT, () => {
@@ -1,4 +1,8 @@
 const B2 = require('backblaze-b2');
+const axios = require('axios');
+const crypto = require('crypto');
+
+const MIN_PART_SIZE = 5 * 1024 * 1024; // B2 rejects smaller parts (except the last one)
 
 class BackblazeService {
   constructor() {
@@ -9,6 +13,7 @@ class BackblazeService {
     this.bucketId = process.env.B2_BUCKET_ID;
     this.bucketName = process.env.B2_BUCKET_NAME;
     this.authorized = false;
+    this.partSize = Math.max(parseInt(process.env.UPLOAD_PART_SIZE) || 10 * 1024 * 1024, MIN_PART_SIZE);
   }
 
   async authorize() {
@@ -32,26 +37,25 @@ class BackblazeService {
         bucketId: this.bucketId,
       });
 
+      // Sent as X-Bz-Content-Sha1 so B2 refuses content corrupted in transit
+      const contentSha1 = crypto.createHash('sha1').update(fileBuffer).digest('hex');
+
       const response = await this.b2.uploadFile({
         uploadUrl: uploadUrl.data.uploadUrl,
         uploadAuthToken: uploadUrl.data.authorizationToken,
         fileName: fileName,
         data: fileBuffer,
+        hash: contentSha1,
         info: {
           'src_last_modified_millis': Date.now().toString()
         },
         mime: contentType,
       });
 
-      // Get the correct download URL from the authorization response
-      const downloadUrl = this.b2.downloadUrl ? 
-        `${this.b2.downloadUrl}/file/${this.bucketName}/${fileName}` :
-        `https://f003.backblazeb2.com/file/${this.bucketName}/${fileName}`;
-
       return {
         fileId: response.data.fileId,
         fileName: response.data.fileName,
-        downloadUrl: downloadUrl,
+        downloadUrl: this.buildDownloadUrl(fileName),
         contentType: response.data.contentType,
         size: response.data.contentLength
       };
@@ -61,6 +65,162 @@ class BackblazeService {
     }
   }
 
+  // Uploads a stream of unknown length while holding at most one part in
+  // memory. Streams that fit in a single part use a regular upload.
+  // contentType may be a function, called once the stream has produced data,
+  // for streams whose type is only known from their first bytes.
+  async uploadStream(stream, fileName, contentType) {
+    const getContentType = () => typeof contentType === 'function' ? contentType() : contentType;
+    let chunks = [];
+    let bufferedBytes = 0;
+    let largeFileId = null;
+    const partSha1Array = [];
+
+    const takeBuffered = () => {
+      const buffer = Buffer.concat(chunks, bufferedBytes);
+      chunks = [];
+      bufferedBytes = 0;
+      return buffer;
+    };
+
+    try {
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+        bufferedBytes += chunk.length;
+
+        // Only flush once more data than a part has arrived, so the last part is never empty
+        if (bufferedBytes > this.partSize) {
+          const buffer = takeBuffered();
+          const remainder = buffer.subarray(this.partSize);
+          chunks = [remainder];
+          bufferedBytes = remainder.length;
+
+          if (!largeFileId) {
+            largeFileId = await this.startLargeFile(fileName, getContentType());
+          }
+          partSha1Array.push(await this.uploadPart(largeFileId, partSha1Array.length + 1, buffer.subarray(0, this.partSize)));
+        }
+      }
+
+      if (!largeFileId) {
+        return await this.uploadFile(takeBuffered(), fileName, getContentType());
+      }
+
+      partSha1Array.push(await this.uploadPart(largeFileId, partSha1Array.length + 1, takeBuffered()));
+      return await this.finishLargeFile(largeFileId, partSha1Array);
+    } catch (error) {
+      if (largeFileId) {
+        this.cancelLargeFile(largeFileId).catch(() => {});
+      }
+      throw error;
+    }
+  }
+
+  // Get the correct download URL from the authorization response
+  buildDownloadUrl(fileName) {
+    return this.b2.downloadUrl ? 
+      `${this.b2.downloadUrl}/file/${this.bucketName}/${fileName}` :
+      `https://f003.backblazeb2.com/file/${this.bucketName}/${fileName}`;
+  }
+
+  // Large files are uploaded as numbered parts (minimum 5MB each, except the
+  // last one) and stitched together by B2 when the upload is finished.
+  async startLargeFile(fileName, contentType) {
+    try {
+      await this.authorize();
+
+      const response = await this.b2.startLargeFile({
+        bucketId: this.bucketId,
+        fileName: fileName,
+        contentType: contentType,
+      });
+
+      return response.data.fileId;
+    } catch (error) {
+      console.error('Error starting large file upload:', error);
+      throw error;
+    }
+  }
+
+  async uploadPart(largeFileId, partNumber, partBuffer) {
+    try {
+      await this.authorize();
+
+      const uploadPartUrl = await this.b2.getUploadPartUrl({
+        fileId: largeFileId,
+      });
+
+      const partSha1 = crypto.createHash('sha1').update(partBuffer).digest('hex');
+
+      await this.b2.uploadPart({
+        uploadUrl: uploadPartUrl.data.uploadUrl,
+        uploadAuthToken: uploadPartUrl.data.authorizationToken,
+        partNumber: partNumber,
+        data: partBuffer,
+        hash: partSha1,
+      });
+
+      return partSha1;
+    } catch (error) {
+      console.error(`Error uploading part ${partNumber} to Backblaze:`, error);
+      throw error;
+    }
+  }
+
+  async finishLargeFile(largeFileId, partSha1Array) {
+    try {
+      await this.authorize();
+
+      const response = await this.b2.finishLargeFile({
+        fileId: largeFileId,
+        partSha1Array: partSha1Array,
+      });
+
+      return {
+        fileId: response.data.fileId,
+        fileName: response.data.fileName,
+        downloadUrl: this.buildDownloadUrl(response.data.fileName),
+        contentType: response.data.contentType,
+        size: response.data.contentLength
+      };
+    } catch (error) {
+      console.error('Error finishing large file upload:', error);
+      throw error;
+    }
+  }
+
+  async cancelLargeFile(largeFileId) {
+    try {
+      await this.authorize();
+
+      await this.b2.cancelLargeFile({
+        fileId: largeFileId,
+      });
+
+      return true;
+    } catch (error) {
+      console.error('Error cancelling large file upload:', error);
+      throw error;
+    }
+  }
+
+  async downloadFile(fileName) {
+    try {
+      await this.authorize();
+
+      const response = await this.b2.downloadFileByName({
+        bucketName: this.bucketName,
+        fileName: fileName,
+        responseType: 'arraybuffer',
+      });
+
+      return Buffer.from(response.data);
+    } catch (error) {
+      console.error('Error downloading file from Backblaze:', error);
+      throw error;
+    }
+  }
+
   async deleteFile(fileId, fileName) {
     try {
       await this.authorize();
@@ -77,6 +237,81 @@ class BackblazeService {
     }
   }
 
+  // Server-side copy with b2_copy_file, which the client library doesn't
+  // wrap. The copy keeps the source's content type and file info; nothing is
+  // transferred through this server.
+  async copyFile(sourceFileId, fileName) {
+    try {
+      await this.authorize();
+
+      const response = await axios.post(`${this.b2.apiUrl}/b2api/v2/b2_copy_file`, {
+        sourceFileId: sourceFileId,
+        fileName: fileName,
+        metadataDirective: 'COPY'
+      }, {
+        headers: { Authorization: this.b2.authorizationToken }
+      });
+
+      return {
+        fileId: response.data.fileId,
+        fileName: response.data.fileName,
+        downloadUrl: this.buildDownloadUrl(response.data.fileName),
+        contentType: response.data.contentType,
+        size: response.data.contentLength
+      };
+    } catch (error) {
+      console.error('Error copying file in Backblaze:', error);
+      throw error;
+    }
+  }
+
+  async downloadFileStream(fileName) {
+    try {
+      await this.authorize();
+
+      const response = await this.b2.downloadFileByName({
+        bucketName: this.bucketName,
+        fileName: fileName,
+        responseType: 'stream',
+      });
+
+      return response.data;
+    } catch (error) {
+      console.error('Error streaming file from Backblaze:', error);
+      throw error;
+    }
+  }
+
+  // Opens a download for proxying, with the response status and headers.
+  // range is { start, end }; signal aborts the request. Retries are left to
+  // the caller (see services/storageProxy.js).
+  async openDownload(fileName, { range = null, signal, timeoutMs } = {}) {
+    await this.authorize();
+
+    const response = await this.b2.downloadFileByName({
+      bucketName: this.bucketName,
+      fileName: fileName,
+      responseType: 'stream',
+      axios: {
+        headers: range ? { Range: `bytes=${range.start}-${range.end}` } : {},
+        signal,
+        timeout: timeoutMs,
+        'axios-retry': { retries: 0 }
+      }
+    });
+
+    return {
+      status: response.status,
+      headers: response.headers,
+      stream: response.data
+    };
+  }
+
+  // Authorization tokens expire after 24 hours; the next call authorizes again
+  invalidateAuthorization() {
+    this.authorized = false;
+  }
+
   async getDownloadUrl(fileName) {
     try {
       await this.authorize();
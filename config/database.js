@@ -222,6 +222,397 @@ const initializeDatabase = async () => {
       }
     }
 
+    // Create content-addressed blobs table (deduplicated stored objects)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS blobs (
+        id SERIAL PRIMARY KEY,
+        sha256 CHAR(64) UNIQUE NOT NULL,
+        size BIGINT NOT NULL,
+        backblaze_file_id VARCHAR(255) NOT NULL,
+        backblaze_file_name VARCHAR(255) NOT NULL,
+        ref_count INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    try {
+      await pool.query(`
+        ALTER TABLE files 
+        ADD COLUMN IF NOT EXISTS blob_id INTEGER REFERENCES blobs(id),
+        ADD COLUMN IF NOT EXISTS content_sha256 CHAR(64);
+      `);
+      await pool.query('CREATE INDEX IF NOT EXISTS idx_files_blob_id ON files(blob_id);');
+      console.log('✅ Blobs table and file content hash columns added successfully');
+    } catch (error) {
+      if (error.code !== '42701') {
+        console.error('⚠️ Error adding blob columns:', error);
+      }
+    }
+
+    // Create resumable upload sessions table (tus uploads)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS upload_sessions (
+        id UUID PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        folder_id INTEGER REFERENCES folders(id) ON DELETE CASCADE,
+        file_name VARCHAR(255) NOT NULL,
+        original_name VARCHAR(255) NOT NULL,
+        mime_type VARCHAR(100),
+        upload_length BIGINT NOT NULL,
+        committed_offset BIGINT DEFAULT 0,
+        large_file_id VARCHAR(255),
+        part_sha1s JSONB DEFAULT '[]'::jsonb,
+        file_id INTEGER REFERENCES files(id) ON DELETE SET NULL,
+        completed_at TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_upload_sessions_user_id ON upload_sessions(user_id);
+      CREATE INDEX IF NOT EXISTS idx_upload_sessions_expires_at ON upload_sessions(expires_at);
+    `);
+
+    console.log('✅ Upload sessions table created successfully');
+
+    // Create storage reservations table (quota held by in-flight uploads)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS storage_reservations (
+        id UUID PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        bytes BIGINT NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_storage_reservations_expires_at ON storage_reservations(expires_at);
+    `);
+
+    try {
+      await pool.query(`
+        ALTER TABLE users 
+        ADD COLUMN IF NOT EXISTS storage_reserved BIGINT DEFAULT 0;
+      `);
+      await pool.query(`
+        ALTER TABLE upload_sessions 
+        ADD COLUMN IF NOT EXISTS reservation_id UUID;
+      `);
+      console.log('✅ Storage reservation columns added successfully');
+    } catch (error) {
+      if (error.code !== '42701') {
+        console.error('⚠️ Error adding storage reservation columns:', error);
+      }
+    }
+
+    // Add sniffed content type columns (mime_type holds the detected type)
+    try {
+      await pool.query(`
+        ALTER TABLE files 
+        ADD COLUMN IF NOT EXISTS declared_mime_type VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS type_mismatch BOOLEAN DEFAULT FALSE;
+      `);
+      await pool.query(`
+        ALTER TABLE upload_sessions 
+        ADD COLUMN IF NOT EXISTS declared_mime_type VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS type_mismatch BOOLEAN DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS type_checked BOOLEAN DEFAULT FALSE;
+      `);
+      console.log('✅ Content type detection columns added successfully');
+    } catch (error) {
+      if (error.code !== '42701') {
+        console.error('⚠️ Error adding content type columns:', error);
+      }
+    }
+
+    // Name-conflict policy chosen when a resumable upload was created
+    try {
+      await pool.query(`
+        ALTER TABLE upload_sessions 
+        ADD COLUMN IF NOT EXISTS on_conflict VARCHAR(10) DEFAULT 'rename';
+      `);
+      console.log('✅ Upload conflict policy column added successfully');
+    } catch (error) {
+      if (error.code !== '42701') {
+        console.error('⚠️ Error adding upload conflict policy column:', error);
+      }
+    }
+
+    // Content checksums for end-to-end upload verification
+    try {
+      await pool.query(`
+        ALTER TABLE files 
+        ADD COLUMN IF NOT EXISTS content_sha1 CHAR(40);
+      `);
+      await pool.query(`
+        ALTER TABLE upload_sessions 
+        ADD COLUMN IF NOT EXISTS expected_sha1 CHAR(40),
+        ADD COLUMN IF NOT EXISTS expected_sha256 CHAR(64);
+      `);
+      console.log('✅ Content checksum columns added successfully');
+    } catch (error) {
+      if (error.code !== '42701') {
+        console.error('⚠️ Error adding content checksum columns:', error);
+      }
+    }
+
+    // Earlier content of files, kept when a new version is uploaded
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS file_versions (
+        id SERIAL PRIMARY KEY,
+        file_id INTEGER REFERENCES files(id) ON DELETE CASCADE,
+        version_number INTEGER NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        mime_type VARCHAR(100),
+        declared_mime_type VARCHAR(100),
+        type_mismatch BOOLEAN DEFAULT FALSE,
+        size BIGINT,
+        backblaze_file_id VARCHAR(255),
+        backblaze_url TEXT,
+        blob_id INTEGER REFERENCES blobs(id),
+        content_sha256 CHAR(64),
+        content_sha1 CHAR(40),
+        thumbnail_path VARCHAR(255),
+        thumbnail_backblaze_file_id VARCHAR(255),
+        has_thumbnail BOOLEAN DEFAULT FALSE,
+        uploaded_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_file_versions_file_id ON file_versions(file_id, version_number);
+      CREATE INDEX IF NOT EXISTS idx_file_versions_created_at ON file_versions(created_at);
+    `);
+
+    try {
+      await pool.query(`
+        ALTER TABLE files 
+        ADD COLUMN IF NOT EXISTS version_number INTEGER DEFAULT 1,
+        ADD COLUMN IF NOT EXISTS version_created_at TIMESTAMP;
+      `);
+      // Room for the new-version conflict policy
+      await pool.query(`
+        ALTER TABLE upload_sessions 
+        ALTER COLUMN on_conflict TYPE VARCHAR(20);
+      `);
+      console.log('✅ File versions table and columns added successfully');
+    } catch (error) {
+      if (error.code !== '42701') {
+        console.error('⚠️ Error adding file version columns:', error);
+      }
+    }
+
+    // Soft delete: trashed files keep the folder they were deleted from
+    try {
+      await pool.query(`
+        ALTER TABLE files 
+        ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS trashed_folder_id INTEGER REFERENCES folders(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS trashed_folder_path JSONB;
+      `);
+      await pool.query(`
+        CREATE INDEX IF NOT EXISTS idx_files_deleted_at ON files(deleted_at) WHERE deleted_at IS NOT NULL;
+      `);
+      console.log('✅ Trash columns added successfully');
+    } catch (error) {
+      if (error.code !== '42701') {
+        console.error('⚠️ Error adding trash columns:', error);
+      }
+    }
+
+    // Trigram indexes for fuzzy name search. Creating the extension may need
+    // a privileged role; without it only searches by name fail.
+    try {
+      await pool.query('CREATE EXTENSION IF NOT EXISTS pg_trgm;');
+      await pool.query(`
+        CREATE INDEX IF NOT EXISTS idx_files_original_name_trgm ON files USING GIN (original_name gin_trgm_ops);
+        CREATE INDEX IF NOT EXISTS idx_folders_name_trgm ON folders USING GIN (name gin_trgm_ops);
+      `);
+      console.log('✅ Name search indexes created successfully');
+    } catch (error) {
+      console.error('⚠️ Error setting up name search (pg_trgm):', error.message);
+    }
+
+    // User-defined tags and the files and folders they are attached to
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS tags (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(50) NOT NULL,
+        color VARCHAR(7) NOT NULL DEFAULT '#6b7280',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, name)
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS file_tags (
+        file_id INTEGER REFERENCES files(id) ON DELETE CASCADE,
+        tag_id INTEGER REFERENCES tags(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (file_id, tag_id)
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS folder_tags (
+        folder_id INTEGER REFERENCES folders(id) ON DELETE CASCADE,
+        tag_id INTEGER REFERENCES tags(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (folder_id, tag_id)
+      );
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_file_tags_tag_id ON file_tags(tag_id);
+      CREATE INDEX IF NOT EXISTS idx_folder_tags_tag_id ON folder_tags(tag_id);
+    `);
+
+    console.log('✅ Tags tables created successfully');
+
+    // Files and folders each user has starred
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS file_stars (
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        file_id INTEGER REFERENCES files(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, file_id)
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS folder_stars (
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        folder_id INTEGER REFERENCES folders(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, folder_id)
+      );
+    `);
+
+    // Uploads, views, downloads and renames of files, for the recent feed
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS file_access_events (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        file_id INTEGER REFERENCES files(id) ON DELETE CASCADE,
+        action VARCHAR(20) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_file_access_events_user_created ON file_access_events(user_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_file_access_events_created ON file_access_events(created_at);
+    `);
+
+    console.log('✅ Stars and access events tables created successfully');
+
+    // Full-text index of file contents. Existing files start out waiting
+    // (content_index_status NULL), so the indexer backfills them.
+    try {
+      await pool.query(`
+        ALTER TABLE files
+        ADD COLUMN IF NOT EXISTS content_index_status VARCHAR(20),
+        ADD COLUMN IF NOT EXISTS content_indexed_at TIMESTAMP;
+      `);
+      await pool.query(`
+        CREATE INDEX IF NOT EXISTS idx_files_content_index_waiting ON files(id) WHERE content_index_status IS NULL;
+      `);
+      console.log('✅ Content index columns added successfully');
+    } catch (error) {
+      if (error.code !== '42701') {
+        console.error('⚠️ Error adding content index columns:', error);
+      }
+    }
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS file_contents (
+        file_id INTEGER PRIMARY KEY REFERENCES files(id) ON DELETE CASCADE,
+        content_text TEXT NOT NULL,
+        content_tsv TSVECTOR NOT NULL,
+        indexed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_file_contents_tsv ON file_contents USING GIN (content_tsv);
+    `);
+
+    // Live file names are unique per folder, and per user in the root. Names
+    // taken twice before this was enforced get the file id added to all but
+    // the oldest file, e.g. "report (42).pdf".
+    const nameIndex = await pool.query(`SELECT to_regclass('idx_files_root_name_unique') AS name`);
+    if (!nameIndex.rows[0].name) {
+      const renamed = await pool.query(`
+        UPDATE files f SET original_name =
+          left(f.original_name, least(length(f.original_name) - length(d.extension), 255 - length(d.suffix) - length(d.extension))) || d.suffix || d.extension
+        FROM (
+          SELECT id, ' (' || id || ')' AS suffix,
+                 COALESCE(substring(original_name from '.(\\.[^.]*)$'), '') AS extension,
+                 ROW_NUMBER() OVER (
+                   PARTITION BY folder_id, CASE WHEN folder_id IS NULL THEN user_id END, original_name
+                   ORDER BY created_at, id
+                 ) AS position
+          FROM files
+          WHERE deleted_at IS NULL
+        ) d
+        WHERE f.id = d.id AND d.position > 1
+      `);
+      if (renamed.rowCount > 0) {
+        console.log(`✅ Renamed ${renamed.rowCount} files sharing a name with another file in their folder`);
+      }
+
+      await pool.query(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_files_folder_name_unique ON files(folder_id, original_name) WHERE deleted_at IS NULL AND folder_id IS NOT NULL;
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_files_root_name_unique ON files(user_id, original_name) WHERE deleted_at IS NULL AND folder_id IS NULL;
+      `);
+    }
+
+    // Each user's folder names are unique per parent folder, the root
+    // included. Names taken twice before this was enforced get the folder id
+    // added to all but the oldest folder.
+    const folderNameIndex = await pool.query(`SELECT to_regclass('idx_folders_name_unique') AS name`);
+    if (!folderNameIndex.rows[0].name) {
+      const renamed = await pool.query(`
+        UPDATE folders f SET name = left(f.name, 255 - length(' (' || f.id || ')')) || ' (' || f.id || ')'
+        FROM (
+          SELECT id, ROW_NUMBER() OVER (
+                   PARTITION BY user_id, parent_folder_id, name
+                   ORDER BY created_at, id
+                 ) AS position
+          FROM folders
+        ) d
+        WHERE f.id = d.id AND d.position > 1
+      `);
+      if (renamed.rowCount > 0) {
+        console.log(`✅ Renamed ${renamed.rowCount} folders sharing a name with another folder`);
+      }
+
+      await pool.query(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_folders_name_unique ON folders(user_id, COALESCE(parent_folder_id, 0), name);
+      `);
+    }
+
+    // Lock held by the request writing to or terminating a resumable upload,
+    // shared by all server instances
+    try {
+      await pool.query(`
+        ALTER TABLE upload_sessions 
+        ADD COLUMN IF NOT EXISTS lock_token UUID,
+        ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+      `);
+      console.log('✅ Upload session lock columns added successfully');
+    } catch (error) {
+      if (error.code !== '42701') {
+        console.error('⚠️ Error adding upload session lock columns:', error);
+      }
+    }
+
     console.log('✅ Database tables initialized successfully');
   } catch (error) {
     console.error('❌ Error initializing database:', error);
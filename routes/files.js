@@ -1,383 +1,705 @@
 const express = require('express');
 const multer = require('multer');
+const jwt = require('jsonwebtoken');
 const { pool } = require('../config/database');
 const { authenticateToken, checkFolderPermission } = require('../middleware/auth');
-const backblazeService = require('../config/backblaze');
 const redisService = require('../config/redis');
-const thumbnailService = require('../services/thumbnailService');
+const fileService = require('../services/fileService');
+const b2Storage = require('../services/b2Storage');
+const storageReservationService = require('../services/storageReservationService');
+const uploadBatchService = require('../services/uploadBatchService');
+const archiveService = require('../services/archiveService');
+const folderService = require('../services/folderService');
+const zipDownloadService = require('../services/zipDownloadService');
+const signedUrlService = require('../services/signedUrlService');
+const objectCache = require('../services/objectCache');
+const jobService = require('../services/jobService');
+const copyService = require('../services/copyService');
+const versionService = require('../services/versionService');
+const trashService = require('../services/trashService');
+const listingService = require('../services/listingService');
+const tagService = require('../services/tagService');
+const starService = require('../services/starService');
+const activityService = require('../services/activityService');
 const crypto = require('crypto');
-const path = require('path');
 
 const router = express.Router();
 
-const storage = multer.memoryStorage();
+// Archives to extract are sent with ?extract=true (or an extract field ahead
+// of the file) and are spooled to disk instead of being stored
+const wantsExtraction = (req) => req.query.extract === 'true' || req.body.extract === 'true';
+
+// Files are streamed to Backblaze as they arrive, so memory use per upload
+// stays constant regardless of file size. The storage engine also sniffs each
+// file's real type and refuses blocked types (see BLOCKED_FILE_TYPES).
 const upload = multer({
-  storage: storage,
+  storage: {
+    _handleFile: (req, file, cb) => (wantsExtraction(req) ? b2Storage.spooled : b2Storage)._handleFile(req, file, cb),
+    _removeFile: (req, file, cb) => (wantsExtraction(req) ? b2Storage.spooled : b2Storage)._removeFile(req, file, cb)
+  },
   limits: {
     fileSize: 1024 * 1024 * 1024, // 1GB limit
-  },
-  fileFilter: (req, file, cb) => {
-    // More comprehensive file type support
-    const allowedExtensions = /jpeg|jpg|png|gif|bmp|tiff|webp|svg|ico|mp4|mov|avi|mkv|wmv|flv|webm|m4v|3gp|mp3|wav|flac|aac|ogg|wma|m4a|pdf|doc|docx|xls|xlsx|ppt|pptx|txt|rtf|csv|zip|rar|7z|tar|gz|json|xml|html|css|js|ts|py|java|cpp|c|php|rb|go|sql|md|log/;
-    
-    const allowedMimeTypes = [
-      // Images
-      'image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/bmp', 'image/tiff', 'image/webp', 'image/svg+xml', 'image/x-icon',
-      // Videos
-      'video/mp4', 'video/quicktime', 'video/x-msvideo', 'video/x-matroska', 'video/x-ms-wmv', 'video/x-flv', 'video/webm', 'video/3gpp',
-      // Audio
-      'audio/mpeg', 'audio/wav', 'audio/flac', 'audio/aac', 'audio/ogg', 'audio/x-ms-wma', 'audio/mp4',
-      // Documents
-      'application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-      'application/vnd.ms-powerpoint', 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-      'text/plain', 'application/rtf', 'text/csv',
-      // Archives
-      'application/zip', 'application/x-rar-compressed', 'application/x-7z-compressed', 'application/x-tar', 'application/gzip',
-      // Code/Data
-      'application/json', 'application/xml', 'text/html', 'text/css', 'application/javascript', 'text/javascript',
-      'application/x-python-code', 'text/x-java-source', 'text/x-c', 'text/x-php', 'text/x-ruby', 'application/x-sql', 'text/markdown'
-    ];
-
-    const extname = allowedExtensions.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedMimeTypes.includes(file.mimetype) || file.mimetype.startsWith('text/') || file.mimetype.startsWith('application/');
-
-    if (mimetype && extname) {
-      return cb(null, true);
-    } else {
-      // More permissive approach - allow most files but log unknown types
-      console.log(`Allowing file with mimetype: ${file.mimetype}, extension: ${path.extname(file.originalname)}`);
-      return cb(null, true);
-    }
   }
 });
 
-// Multiple file upload
+// Multiple file upload. Files are spooled to disk and processed after the
+// response, with progress reported through an upload job.
 const uploadMultiple = multer({
-  storage: storage,
+  storage: b2Storage.spooled,
   limits: {
     fileSize: 1024 * 1024 * 1024, // 1GB limit per file
     files: 500 // Maximum 500 files at once
   },
-  fileFilter: (req, file, cb) => {
-    // Use the same file filter as single upload
-    const allowedExtensions = /jpeg|jpg|png|gif|bmp|tiff|webp|svg|ico|mp4|mov|avi|mkv|wmv|flv|webm|m4v|3gp|mp3|wav|flac|aac|ogg|wma|m4a|pdf|doc|docx|xls|xlsx|ppt|pptx|txt|rtf|csv|zip|rar|7z|tar|gz|json|xml|html|css|js|ts|py|java|cpp|c|php|rb|go|sql|md|log/;
-    
-    const allowedMimeTypes = [
-      'image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/bmp', 'image/tiff', 'image/webp', 'image/svg+xml', 'image/x-icon',
-      'video/mp4', 'video/quicktime', 'video/x-msvideo', 'video/x-matroska', 'video/x-ms-wmv', 'video/x-flv', 'video/webm', 'video/3gpp',
-      'audio/mpeg', 'audio/wav', 'audio/flac', 'audio/aac', 'audio/ogg', 'audio/x-ms-wma', 'audio/mp4',
-      'application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-      'application/vnd.ms-powerpoint', 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-      'text/plain', 'application/rtf', 'text/csv',
-      'application/zip', 'application/x-rar-compressed', 'application/x-7z-compressed', 'application/x-tar', 'application/gzip',
-      'application/json', 'application/xml', 'text/html', 'text/css', 'application/javascript', 'text/javascript',
-      'application/x-python-code', 'text/x-java-source', 'text/x-c', 'text/x-php', 'text/x-ruby', 'application/x-sql', 'text/markdown'
-    ];
-
-    const extname = allowedExtensions.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedMimeTypes.includes(file.mimetype) || file.mimetype.startsWith('text/') || file.mimetype.startsWith('application/');
-
-    if (mimetype && extname) {
-      return cb(null, true);
-    } else {
-      console.log(`Allowing file with mimetype: ${file.mimetype}, extension: ${path.extname(file.originalname)}`);
-      return cb(null, true);
-    }
+  // Keep directory components of file names for folder-tree uploads
+  preservePath: true
+});
+
+// New versions of an existing file are always stored as they are
+const uploadVersion = multer({
+  storage: b2Storage,
+  limits: {
+    fileSize: 1024 * 1024 * 1024, // 1GB limit
   }
 });
 
-// Multiple file upload endpoint
-router.post('/upload/multiple', authenticateToken, uploadMultiple.array('files', 500), async (req, res) => {
-  try {
-    const { folder_id } = req.body;
-    const files = req.files;
+// Reserves the request's Content-Length against the quota of the account the
+// upload is charged to (the user's own unless getAccountId says otherwise)
+// before any bytes are transferred. Whatever the route hasn't committed by
+// the time the response ends is released again, unless the route took the
+// reservation over by clearing req.storageReservation.
+const reserveUploadStorage = (sizeKey, getAccountId = (req) => req.user.id) => async (req, res, next) => {
+  const contentLength = Number(req.headers['content-length']);
+  if (!req.headers['content-length'] || !Number.isSafeInteger(contentLength) || contentLength < 0) {
+    return res.status(411).json({ error: 'Content-Length header is required' });
+  }
 
-    if (!files || files.length === 0) {
-      return res.status(400).json({ error: 'No files uploaded' });
+  try {
+    const { reservation, denial } = await storageReservationService.reserve(getAccountId(req), contentLength, { sizeKey });
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
     }
 
-    // Check folder permissions once
-    if (folder_id) {
-      const folderResult = await pool.query(
-        'SELECT user_id FROM folders WHERE id = $1',
-        [folder_id]
-      );
+    req.storageReservation = reservation;
+    res.on('close', () => {
+      if (!req.storageReservation) return;
 
-      if (folderResult.rows.length === 0) {
-        return res.status(404).json({ error: 'Folder not found' });
-      }
+      storageReservationService.release(reservation.id).catch((error) => {
+        console.error('Failed to release storage reservation:', error);
+      });
+    });
 
-      if (folderResult.rows[0].user_id !== req.user.id) {
-        const permissionResult = await pool.query(
-          'SELECT permission_type FROM permissions WHERE folder_id = $1 AND shared_with_user_id = $2',
-          [folder_id, req.user.id]
-        );
+    next();
+  } catch (error) {
+    console.error('Storage reservation error:', error);
+    res.status(500).json({ error: 'Failed to reserve storage' });
+  }
+};
+
+// Authenticates the routes browsers load directly (links, <img> and <video>
+// tags, EventSource): either a Bearer token or a signed URL minted for this
+// file and action by POST /:fileId/signed-url, or for an upload job by POST
+// /upload-jobs/:jobId/events-url. param names the route parameter holding
+// the signed id. Sets req.userId.
+const authenticateFileRequest = (action, param = 'fileId') => (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (token) {
+    try {
+      req.userId = jwt.verify(token, process.env.JWT_SECRET).userId;
+      return next();
+    } catch (error) {
+      return res.status(403).json({ error: 'Invalid or expired token' });
+    }
+  }
 
-        if (permissionResult.rows.length === 0 || 
-            !['create', 'edit'].includes(permissionResult.rows[0].permission_type)) {
-          return res.status(403).json({ error: 'Insufficient permissions to upload to this folder' });
-        }
-      }
+  if (req.query.signature) {
+    const userId = signedUrlService.verify({ fileId: req.params[param], action, query: req.query });
+    if (!userId) {
+      return res.status(403).json({ error: 'Invalid or expired signed URL' });
     }
 
-    // Check storage quota before uploading
-    const userStorageResult = await pool.query(
-      'SELECT storage_quota, storage_used FROM users WHERE id = $1',
-      [req.user.id]
-    );
+    req.userId = userId;
+    return next();
+  }
 
-    if (userStorageResult.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+  res.status(401).json({ error: 'Access token or signed URL required' });
+};
+
+// Cache-Control per route kind. Private responses may only be kept by the
+// user's own browser, and file content is revalidated on every use.
+const CACHE_CONTROL = {
+  private: 'private, no-cache',
+  privateThumbnail: 'private, max-age=3600',
+  public: 'public, max-age=3600',
+  publicThumbnail: 'public, max-age=86400'
+};
+
+// Types a browser runs scripts from when it opens them directly. Content is
+// typed by what it sniffs as, so these are never shown inline on the API
+// origin: they are sent as downloads in a sandbox.
+const ACTIVE_CONTENT_TYPES = ['image/svg+xml', 'text/html', 'application/xhtml+xml', 'text/xml', 'application/xml'];
+
+// Sets Content-Disposition for a file shown in the browser, falling back to
+// a sandboxed download for active content
+const setInlineDisposition = (res, mimeType, fileName) => {
+  const baseType = mimeType.split(';')[0].trim().toLowerCase();
+
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  if (ACTIVE_CONTENT_TYPES.includes(baseType)) {
+    res.setHeader('Content-Security-Policy', 'sandbox');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    return;
+  }
 
-    const { storage_quota, storage_used } = userStorageResult.rows[0];
-    const totalUploadSize = files.reduce((sum, file) => sum + file.size, 0);
+  res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
+};
+
+// Sets the ETag and Last-Modified of a stored object. The ETag comes from the
+// content hash where one was recorded, otherwise from the B2 file ID, so it
+// only changes when the bytes do. Returns true when the request's
+// If-None-Match / If-Modified-Since show the client's copy is current, in
+// which case a 304 has been sent.
+const sendNotModified = (req, res, { contentHash, backblazeFileId, updatedAt }) => {
+  const tag = contentHash || backblazeFileId;
+  if (tag) {
+    res.setHeader('ETag', `"${tag}"`);
+  }
+  if (updatedAt) {
+    res.setHeader('Last-Modified', new Date(updatedAt).toUTCString());
+  }
 
-    if (parseInt(storage_used) + totalUploadSize > parseInt(storage_quota)) {
-      const availableSpace = parseInt(storage_quota) - parseInt(storage_used);
-      const formatBytes = (bytes) => {
-        const gb = bytes / (1024 * 1024 * 1024);
-        return gb >= 1 ? `${gb.toFixed(2)}GB` : `${(bytes / (1024 * 1024)).toFixed(2)}MB`;
-      };
+  if (!req.fresh) return false;
 
-      return res.status(413).json({ 
-        error: 'Insufficient storage space',
-        details: {
-          totalUploadSize: formatBytes(totalUploadSize),
-          availableSpace: formatBytes(availableSpace),
-          quotaLimit: formatBytes(parseInt(storage_quota))
-        }
-      });
-    }
+  res.status(304).end();
+  return true;
+};
 
-    const results = {
-      successful: [],
-      failed: []
+// If-Range makes a Range request conditional on the validators set above
+const ifRangeMatches = (req, res) => {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) return true;
+
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+    return ifRange === res.getHeader('ETag');
+  }
+
+  const lastModified = Date.parse(res.getHeader('Last-Modified'));
+  return !Number.isNaN(lastModified) && lastModified <= Date.parse(ifRange);
+};
+
+// Byte range to serve for the request's Range header against a file of the
+// given size: null for the whole file, { start, end } for a single range, or
+// { unsatisfiable: true } for a 416. Malformed headers and multi-range
+// requests are answered with the whole file, as HTTP allows, and so is a
+// range whose If-Range no longer matches.
+const getRequestedRange = (req, res, size) => {
+  if (!req.headers.range || !ifRangeMatches(req, res)) return null;
+
+  const ranges = req.range(size, { combine: true });
+  if (ranges === -1) return { unsatisfiable: true };
+  if (!Array.isArray(ranges) || ranges.type !== 'bytes' || ranges.length !== 1) return null;
+
+  return { start: ranges[0].start, end: ranges[0].end };
+};
+
+const sendRangeNotSatisfiable = (res, size) => {
+  res.setHeader('Content-Range', `bytes */${size}`);
+  res.status(416).json({ error: 'Requested range not satisfiable' });
+};
+
+// The file fileId with the user's access level (owner, or the permission on
+// its folder), or null when the user can't see it
+const getAccessibleFile = async (userId, fileId) => {
+  const result = await pool.query(`
+    SELECT f.*, 
+           CASE WHEN f.user_id = $1 THEN 'owner' ELSE p.permission_type END as access_level
+    FROM files f
+    LEFT JOIN permissions p ON f.folder_id = p.folder_id AND p.shared_with_user_id = $1
+    WHERE f.id = $2 AND (f.user_id = $1 OR p.shared_with_user_id = $1) AND f.deleted_at IS NULL
+  `, [userId, fileId]);
+
+  return result.rows[0] || null;
+};
+
+// relativePaths may be sent as a JSON array or as one field per file
+const parseRelativePaths = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+
+  try {
+    const parsed = JSON.parse(value);
+    if (Array.isArray(parsed)) return parsed;
+  } catch (error) {
+    // A single plain path
+  }
+
+  return [value];
+};
+
+// Checksums of a single file upload, as hex digests in X-Checksum-Sha1 and
+// X-Checksum-Sha256. Null when one is malformed.
+const parseChecksumHeaders = (req) => fileService.parseChecksums({
+  sha1: req.headers['x-checksum-sha1'],
+  sha256: req.headers['x-checksum-sha256']
+});
+
+// Checksums of a multiple file upload: a JSON array lining up with the files,
+// each entry { sha1, sha256 } (either may be left out) or null. Null when the
+// field or one of its entries is malformed.
+const parseChecksumList = (value) => {
+  if (!value) return [];
+
+  let entries;
+  try {
+    entries = JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+  if (!Array.isArray(entries)) return null;
+
+  const checksums = entries.map(entry => fileService.parseChecksums(entry || {}));
+  return checksums.includes(null) ? null : checksums;
+};
+
+// Checks the checksum headers of a single file upload before any bytes are
+// transferred, and sets req.expectedChecksums
+const checkChecksumHeaders = (req, res, next) => {
+  const checksums = parseChecksumHeaders(req);
+  if (!checksums) {
+    return res.status(400).json({ error: 'X-Checksum-Sha1 and X-Checksum-Sha256 must be hex digests' });
+  }
+
+  req.expectedChecksums = checksums;
+  next();
+};
+
+// The folder an upload goes into and its conflict policy, from options
+// ({ folder_id, onConflict }). Resolves to { folderId, onConflict }, or to
+// { denial } when the policy is invalid or the user can't upload there.
+const resolveUploadTarget = async (userId, options) => {
+  const onConflict = fileService.parseConflictPolicy(options.onConflict);
+  if (!onConflict) {
+    return { denial: { status: 400, body: { error: 'onConflict must be one of rename, replace, skip, fail or new-version' } } };
+  }
+
+  const folderId = options.folder_id || null;
+  const accessDenial = await fileService.checkUploadAccess(folderId, userId);
+  if (accessDenial) {
+    return { denial: accessDenial };
+  }
+
+  return { folderId, onConflict };
+};
+
+// Checks where an upload goes before any bytes are transferred. folder_id
+// and onConflict are read from the query string (folder_id may also be sent
+// as X-Folder-Id) and the result is set as req.uploadTarget.
+const checkUploadTarget = async (req, res, next) => {
+  try {
+    req.uploadOptions = {
+      folder_id: req.query.folder_id || req.headers['x-folder-id'],
+      onConflict: req.query.onConflict
     };
 
-    // Process each file
-    for (const file of files) {
-      try {
-        const fileExtension = path.extname(file.originalname);
-        const uniqueFileName = `${crypto.randomUUID()}${fileExtension}`;
-
-        // Upload to Backblaze
-        const uploadResult = await backblazeService.uploadFile(
-          file.buffer,
-          uniqueFileName,
-          file.mimetype
-        );
-
-        // Generate thumbnail if applicable
-        let thumbnailData = null;
-        if (thumbnailService.shouldGenerateThumbnail(file.mimetype)) {
-          try {
-            thumbnailData = await thumbnailService.processAndUploadThumbnail(
-              file.buffer,
-              file.originalname,
-              file.mimetype
-            );
-          } catch (thumbnailError) {
-            console.error('Thumbnail generation failed for', file.originalname, ':', thumbnailError);
-          }
-        }
+    const target = await resolveUploadTarget(req.user.id, req.uploadOptions);
+    if (target.denial) {
+      return res.status(target.denial.status).json(target.denial.body);
+    }
 
-        // Save to database
-        const dbResult = await pool.query(`
-          INSERT INTO files (user_id, folder_id, name, original_name, mime_type, size, backblaze_file_id, backblaze_url, thumbnail_path, thumbnail_backblaze_file_id, has_thumbnail)
-          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-          RETURNING *
-        `, [
-          req.user.id,
-          folder_id || null,
-          uniqueFileName,
-          file.originalname,
-          file.mimetype,
-          file.size,
-          uploadResult.fileId,
-          uploadResult.downloadUrl,
-          thumbnailData ? thumbnailData.thumbnailName : null,
-          thumbnailData ? thumbnailData.thumbnailFileId : null,
-          !!thumbnailData
-        ]);
-
-        // Update user's storage usage
-        await pool.query(
-          'UPDATE users SET storage_used = storage_used + $1 WHERE id = $2',
-          [file.size, req.user.id]
-        );
-
-        results.successful.push({
-          file: dbResult.rows[0],
-          originalName: file.originalname
-        });
+    req.uploadTarget = target;
+    next();
+  } catch (error) {
+    console.error('Upload target check error:', error);
+    res.status(500).json({ error: 'File upload failed' });
+  }
+};
+
+// The checked req.uploadTarget, unless the client still sends folder_id or
+// onConflict as form fields. Those only arrive with the body, so they can
+// only be checked once the upload has been received.
+const getUploadTarget = async (req) => {
+  if (req.body.folder_id === undefined && req.body.onConflict === undefined) {
+    return req.uploadTarget;
+  }
 
-      } catch (error) {
-        console.error('Failed to upload file:', file.originalname, error);
-        results.failed.push({
-          originalName: file.originalname,
-          error: error.message
-        });
-      }
+  return resolveUploadTarget(req.user.id, {
+    folder_id: req.body.folder_id !== undefined ? req.body.folder_id : req.uploadOptions.folder_id,
+    onConflict: req.body.onConflict !== undefined ? req.body.onConflict : req.uploadOptions.onConflict
+  });
+};
+
+// Multiple file upload endpoint. Files may carry relative paths (e.g. from
+// webkitRelativePath) to upload a whole directory tree into folder_id.
+// onConflict (rename, replace, skip, fail or new-version) decides what
+// happens to files whose name is already taken in their folder. Both are
+// checked before the upload (see checkUploadTarget). Files whose content
+// doesn't match their entry in checksums fail.
+router.post('/upload/multiple', authenticateToken, checkUploadTarget, reserveUploadStorage('totalUploadSize'), uploadMultiple.array('files', 500), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
     }
 
-    res.status(201).json({
-      message: `Upload completed. ${results.successful.length} files uploaded successfully, ${results.failed.length} failed.`,
-      results
+    const target = await getUploadTarget(req);
+    if (target.denial) {
+      await b2Storage.discardFiles(req.files);
+      return res.status(target.denial.status).json(target.denial.body);
+    }
+    const { folderId, onConflict } = target;
+
+    const checksums = parseChecksumList(req.body.checksums);
+    if (!checksums) {
+      await b2Storage.discardFiles(req.files);
+      return res.status(400).json({ error: 'checksums must be a JSON array of { sha1, sha256 } hex digests' });
+    }
+    req.files.forEach((file, index) => {
+      file.expectedChecksums = checksums[index] || null;
+    });
+
+    // Folders created below the target folder belong to the uploader
+    const folders = await uploadBatchService.resolveFolders(
+      req.user.id,
+      folderId,
+      req.files,
+      parseRelativePaths(req.body.relativePaths)
+    );
+
+    const job = await uploadBatchService.createJob(req.user.id, req.files);
+    const acceptedCount = req.files.filter(file => !file.rejectionReason).length;
+
+    // The job releases the reservation once every file has been processed
+    const reservation = req.storageReservation;
+    req.storageReservation = null;
+
+    uploadBatchService.processBatch(job, req.files, {
+      userId: req.user.id,
+      reservationId: reservation.id,
+      onConflict
+    }).catch((error) => {
+      console.error('Upload batch processing error:', error);
+    });
+
+    res.status(202).json({
+      message: `Upload received. ${acceptedCount} files are being processed.`,
+      jobId: job.id,
+      job: jobService.getSummary(job),
+      folders
     });
 
   } catch (error) {
     console.error('Multiple file upload error:', error);
+    if (req.files) {
+      await b2Storage.discardFiles(req.files);
+    }
     res.status(500).json({ error: 'Multiple file upload failed' });
   }
 });
 
-// Single file upload (keeping for backward compatibility)
-router.post('/upload', authenticateToken, upload.single('file'), async (req, res) => {
-  try {
-    const { folder_id } = req.body;
-    const file = req.file;
+// Scans a spooled archive and starts extracting it into folder_id, or into
+// the folder named by extractTo below it (created unless it already exists).
+// Limits and quota apply to the uncompressed contents; the archive itself is
+// never stored.
+const startArchiveExtraction = async (req, res, { folderId, onConflict }) => {
+  const file = req.file;
+  const archiveType = archiveService.getArchiveType(file.originalname, file.detectedMimeType);
+
+  // An extract field sent after the file arrives too late to spool it
+  if (!file.path) {
+    await b2Storage.discardFiles([file]);
+    return res.status(400).json({ error: 'extract must be sent before the file' });
+  }
 
-    if (!file) {
-      return res.status(400).json({ error: 'No file uploaded' });
-    }
+  if (!archiveType) {
+    await b2Storage.discardFiles([file]);
+    return res.status(400).json({ error: 'Only ZIP, TAR and TAR.GZ archives can be extracted' });
+  }
 
-    if (folder_id) {
-      const folderResult = await pool.query(
-        'SELECT user_id FROM folders WHERE id = $1',
-        [folder_id]
-      );
+  const extractTo = req.body.extractTo ? folderService.parseRelativePath(req.body.extractTo) : null;
+  if (req.body.extractTo && (!extractTo || extractTo.folders.length > 0)) {
+    await b2Storage.discardFiles([file]);
+    return res.status(400).json({ error: 'extractTo must be a single folder name' });
+  }
 
-      if (folderResult.rows.length === 0) {
-        return res.status(404).json({ error: 'Folder not found' });
-      }
+  const scan = await archiveService.scan(file.path, archiveType);
 
-      if (folderResult.rows[0].user_id !== req.user.id) {
-        const permissionResult = await pool.query(
-          'SELECT permission_type FROM permissions WHERE folder_id = $1 AND shared_with_user_id = $2',
-          [folder_id, req.user.id]
-        );
+  const { reservation, denial } = await storageReservationService.reserve(req.user.id, scan.totalSize, {
+    sizeKey: 'uncompressedSize'
+  });
+  if (denial) {
+    await b2Storage.discardFiles([file]);
+    return res.status(denial.status).json(denial.body);
+  }
 
-        if (permissionResult.rows.length === 0 || 
-            !['create', 'edit'].includes(permissionResult.rows[0].permission_type)) {
-          return res.status(403).json({ error: 'Insufficient permissions to upload to this folder' });
-        }
-      }
+  let targetFolderId = folderId;
+  let folder = null;
+  let job;
+
+  try {
+    if (extractTo) {
+      const resolved = new Map();
+      targetFolderId = await folderService.ensureFolderPath(req.user.id, targetFolderId, [extractTo.fileName], resolved);
+      folder = { id: targetFolderId, name: extractTo.fileName, created: resolved.get(extractTo.fileName).created };
     }
 
-    // Check storage quota before uploading
-    const userStorageResult = await pool.query(
-      'SELECT storage_quota, storage_used FROM users WHERE id = $1',
-      [req.user.id]
-    );
+    job = await uploadBatchService.createExtractionJob(req.user.id, scan.entries);
+  } catch (error) {
+    await storageReservationService.release(reservation.id);
+    throw error;
+  }
 
-    if (userStorageResult.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
+  // The job removes the spooled archive and releases the reservation
+  req.file = null;
+  uploadBatchService.extractArchive(job, file, {
+    userId: req.user.id,
+    targetFolderId,
+    archiveType,
+    reservationId: reservation.id,
+    onConflict
+  }).catch((error) => {
+    console.error('Archive extraction error:', error);
+  });
+
+  res.status(202).json({
+    message: `Archive received. ${scan.fileCount} files are being extracted.`,
+    jobId: job.id,
+    job: jobService.getSummary(job),
+    folder
+  });
+};
+
+// Single file upload (keeping for backward compatibility). Takes the same
+// folder_id and onConflict options as the multiple file upload, and can
+// expand a ZIP or TAR archive into folders instead of storing it (see
+// startArchiveExtraction). Optional checksum headers are verified against
+// the received content.
+router.post('/upload', authenticateToken, checkChecksumHeaders, checkUploadTarget, reserveUploadStorage('fileSize'), upload.single('file'), async (req, res) => {
+  try {
+    const file = req.file;
+
+    if (!file) {
+      return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    const { storage_quota, storage_used } = userStorageResult.rows[0];
+    if (file.rejectionReason) {
+      return res.status(415).json({ error: file.rejectionReason });
+    }
 
-    if (parseInt(storage_used) + file.size > parseInt(storage_quota)) {
-      const availableSpace = parseInt(storage_quota) - parseInt(storage_used);
-      const formatBytes = (bytes) => {
-        const gb = bytes / (1024 * 1024 * 1024);
-        return gb >= 1 ? `${gb.toFixed(2)}GB` : `${(bytes / (1024 * 1024)).toFixed(2)}MB`;
-      };
+    fileService.verifyChecksums(req.expectedChecksums, file);
 
-      return res.status(413).json({ 
-        error: 'Insufficient storage space',
-        details: {
-          fileSize: formatBytes(file.size),
-          availableSpace: formatBytes(availableSpace),
-          quotaLimit: formatBytes(parseInt(storage_quota))
-        }
-      });
+    const target = await getUploadTarget(req);
+    if (target.denial) {
+      await b2Storage.discardFiles([file]);
+      return res.status(target.denial.status).json(target.denial.body);
     }
+    const { folderId, onConflict } = target;
 
-    const fileExtension = path.extname(file.originalname);
-    const uniqueFileName = `${crypto.randomUUID()}${fileExtension}`;
+    if (wantsExtraction(req)) {
+      return await startArchiveExtraction(req, res, target);
+    }
 
-    const uploadResult = await backblazeService.uploadFile(
-      file.buffer,
-      uniqueFileName,
-      file.mimetype
-    );
+    const placement = await fileService.resolveNameConflict({
+      userId: req.user.id,
+      folderId,
+      name: file.originalname,
+      onConflict
+    });
 
-    let thumbnailData = null;
-    if (thumbnailService.shouldGenerateThumbnail(file.mimetype)) {
-      try {
-        thumbnailData = await thumbnailService.processAndUploadThumbnail(
-          file.buffer,
-          file.originalname,
-          file.mimetype
-        );
-      } catch (thumbnailError) {
-        console.error('Thumbnail generation failed:', thumbnailError);
-      }
+    if (placement.skip) {
+      await b2Storage.discardFiles([file]);
+      return res.json({
+        message: 'File skipped because a file with the same name already exists',
+        skipped: true,
+        file: placement.existingFile
+      });
     }
 
-    const dbResult = await pool.query(`
-      INSERT INTO files (user_id, folder_id, name, original_name, mime_type, size, backblaze_file_id, backblaze_url, thumbnail_path, thumbnail_backblaze_file_id, has_thumbnail)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-      RETURNING *
-    `, [
-      req.user.id,
-      folder_id || null,
-      uniqueFileName,
+    const thumbnailData = await fileService.generateThumbnail(
+      file.thumbnailSource,
       file.originalname,
-      file.mimetype,
-      file.size,
-      uploadResult.fileId,
-      uploadResult.downloadUrl,
-      thumbnailData ? thumbnailData.thumbnailName : null,
-      thumbnailData ? thumbnailData.thumbnailFileId : null,
-      !!thumbnailData
-    ]);
-
-    // Update user's storage usage
-    await pool.query(
-      'UPDATE users SET storage_used = storage_used + $1 WHERE id = $2',
-      [file.size, req.user.id]
+      file.detectedMimeType
     );
 
+    const fileRecord = await fileService.createFileRecord({
+      userId: req.user.id,
+      folderId,
+      name: file.filename,
+      originalName: placement.name,
+      mimeType: file.detectedMimeType,
+      declaredMimeType: file.mimetype,
+      typeMismatch: file.typeMismatch,
+      size: file.size,
+      sha256: file.sha256,
+      sha1: file.sha1,
+      uploadResult: file.uploadResult,
+      thumbnailData,
+      reservationId: req.storageReservation.id,
+      replaceFile: placement.replaceFile,
+      renameOnConflict: placement.renameOnConflict,
+      newVersionOf: placement.newVersionOf
+    });
+
     res.status(201).json({
       message: 'File uploaded successfully',
-      file: dbResult.rows[0]
+      file: fileRecord
     });
   } catch (error) {
+    if (req.file) {
+      await b2Storage.discardFiles([req.file]);
+    }
+
+    if (['NAME_CONFLICT', 'ARCHIVE_REJECTED', 'CHECKSUM_MISMATCH', 'QUOTA_EXCEEDED'].includes(error.code)) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
     console.error('File upload error:', error);
     res.status(500).json({ error: 'File upload failed' });
+  } finally {
+    if (req.file) {
+      await b2Storage.releaseFile(req.file);
+    }
   }
 });
 
-router.get('/', authenticateToken, async (req, res) => {
+// Progress of a multiple file upload
+router.get('/upload-jobs/:jobId', authenticateToken, async (req, res) => {
   try {
-    const { folder_id } = req.query;
+    const job = await jobService.getJob(req.params.jobId, req.user.id);
 
-    let query = `
-      SELECT f.*, 
-             CASE WHEN f.user_id = $1 THEN 'owner' ELSE p.permission_type END as access_level
-      FROM files f
-      LEFT JOIN permissions p ON f.folder_id = p.folder_id AND p.shared_with_user_id = $1
-      WHERE (f.user_id = $1 OR p.shared_with_user_id = $1)
-    `;
-    let params = [req.user.id];
+    if (!job) {
+      return res.status(404).json({ error: 'Upload job not found or expired' });
+    }
+
+    res.json({
+      job: {
+        ...jobService.getSummary(job),
+        message: job.message,
+        files: job.items
+      }
+    });
+  } catch (error) {
+    console.error('Get upload job error:', error);
+    res.status(500).json({ error: 'Failed to retrieve upload job' });
+  }
+});
+
+// Signed URL for the upload job's event stream, since EventSource can't send
+// an Authorization header
+router.post('/upload-jobs/:jobId/events-url', authenticateToken, async (req, res) => {
+  try {
+    const job = await jobService.getJob(req.params.jobId, req.user.id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Upload job not found or expired' });
+    }
+
+    const query = signedUrlService.createQuery({
+      fileId: job.id,
+      action: 'upload-events',
+      userId: req.user.id,
+      ttlSeconds: req.body.expiresIn
+    });
+
+    res.json({
+      url: `${req.protocol}://${req.get('host')}${req.baseUrl}/upload-jobs/${job.id}/events?${new URLSearchParams(query)}`,
+      expiresAt: new Date(query.expires * 1000).toISOString()
+    });
+  } catch (error) {
+    console.error('Create upload job events URL error:', error);
+    res.status(500).json({ error: 'Failed to create upload job events URL' });
+  }
+});
+
+// Server-Sent Events stream of a multiple file upload's progress. Sends the
+// current state first, then every file update until the job completes.
+// Opened with a Bearer token or the signed URL from POST events-url.
+router.get('/upload-jobs/:jobId/events', authenticateFileRequest('upload-events', 'jobId'), async (req, res) => {
+  try {
+    const job = await jobService.getJob(req.params.jobId, req.userId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Upload job not found or expired' });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
 
-    if (folder_id) {
-      query += ' AND f.folder_id = $2';
-      params.push(folder_id);
+    send('snapshot', { ...jobService.getSummary(job), files: job.items });
+
+    if (job.status === 'completed') {
+      send('complete', jobService.getSummary(job));
+      return res.end();
+    }
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    let unsubscribe;
+
+    if (jobService.isLocal(job.id)) {
+      unsubscribe = jobService.subscribe(job.id, ({ event, data }) => {
+        send(event, data);
+        if (event === 'complete') {
+          res.end();
+        }
+      });
     } else {
-      query += ' AND f.folder_id IS NULL';
+      // Another server runs the job, so follow its state in Redis instead
+      let lastUpdate = job.updatedAt;
+      const poll = setInterval(async () => {
+        const latest = await jobService.getJob(job.id, req.userId);
+        if (!latest || latest.updatedAt === lastUpdate) return;
+
+        lastUpdate = latest.updatedAt;
+        send('snapshot', { ...jobService.getSummary(latest), files: latest.items });
+        if (latest.status === 'completed') {
+          send('complete', jobService.getSummary(latest));
+          res.end();
+        }
+      }, 2000);
+      unsubscribe = () => clearInterval(poll);
     }
 
-    query += ' ORDER BY f.created_at DESC';
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  } catch (error) {
+    console.error('Upload job events error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to stream upload job' });
+    } else {
+      res.end();
+    }
+  }
+});
 
-    const result = await pool.query(query, params);
+// Files in folder_id (the root when left out), one page at a time. sort is
+// name, size, date or type and order asc or desc; category filters by MIME
+// category. With foldersFirst=true the folder's subfolders come first, in
+// folders. Pass nextCursor back as cursor for the following page.
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { folder_id } = req.query;
+
+    const { options, error } = listingService.parseListOptions(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const listing = await listingService.listFiles(req.user.id, folder_id, options);
 
     res.json({
-      files: result.rows
+      files: listing.files,
+      ...(options.foldersFirst ? { folders: listing.folders } : {}),
+      nextCursor: listing.nextCursor,
+      total: listing.total
     });
   } catch (error) {
     console.error('Get files error:', error);
@@ -391,10 +713,12 @@ router.get('/:fileId', authenticateToken, async (req, res) => {
 
     const result = await pool.query(`
       SELECT f.*, 
-             CASE WHEN f.user_id = $1 THEN 'owner' ELSE p.permission_type END as access_level
+             CASE WHEN f.user_id = $1 THEN 'owner' ELSE p.permission_type END as access_level,
+             ${tagService.getTagsColumn('file', 'f.id')} as tags,
+             ${starService.getStarredColumn('file', 'f.id')} as starred
       FROM files f
       LEFT JOIN permissions p ON f.folder_id = p.folder_id AND p.shared_with_user_id = $1
-      WHERE f.id = $2 AND (f.user_id = $1 OR p.shared_with_user_id = $1)
+      WHERE f.id = $2 AND (f.user_id = $1 OR p.shared_with_user_id = $1) AND f.deleted_at IS NULL
     `, [req.user.id, fileId]);
 
     if (result.rows.length === 0) {
@@ -410,6 +734,420 @@ router.get('/:fileId', authenticateToken, async (req, res) => {
   }
 });
 
+// Rename a file and/or move it to another folder. folderId null moves it to
+// the root; leaving a field out keeps its current value. Name conflicts in the
+// target folder follow onConflict, which defaults to fail.
+router.put('/:fileId', authenticateToken, async (req, res) => {
+  try {
+    const { fileId } = req.params;
+    const { name } = req.body;
+
+    const parsedName = name === undefined ? null : folderService.parseRelativePath(String(name));
+    if (name !== undefined && (!parsedName || parsedName.folders.length > 0)) {
+      return res.status(400).json({ error: 'name must be a single file name' });
+    }
+
+    const movesFolder = req.body.folderId !== undefined;
+    if (name === undefined && !movesFolder) {
+      return res.status(400).json({ error: 'name or folderId is required' });
+    }
+
+    if (movesFolder && req.body.folderId !== null && !Number.isInteger(Number(req.body.folderId))) {
+      return res.status(400).json({ error: 'folderId must be a folder ID or null' });
+    }
+
+    const onConflict = fileService.parseConflictPolicy(req.body.onConflict || 'fail');
+    if (!onConflict || onConflict === 'new-version') {
+      return res.status(400).json({ error: 'onConflict must be one of rename, replace, skip or fail' });
+    }
+
+    const fileResult = await pool.query(`
+      SELECT f.*, 
+             CASE WHEN f.user_id = $1 THEN 'owner' ELSE p.permission_type END as access_level
+      FROM files f
+      LEFT JOIN permissions p ON f.folder_id = p.folder_id AND p.shared_with_user_id = $1
+      WHERE f.id = $2 AND (f.user_id = $1 OR p.shared_with_user_id = $1) AND f.deleted_at IS NULL
+    `, [req.user.id, fileId]);
+
+    if (fileResult.rows.length === 0) {
+      return res.status(404).json({ error: 'File not found or access denied' });
+    }
+
+    const file = fileResult.rows[0];
+    let targetFolderId = file.folder_id;
+    if (movesFolder) {
+      targetFolderId = req.body.folderId === null ? null : parseInt(req.body.folderId);
+    }
+
+    const denial = await fileService.checkMoveAccess(file, req.user.id, targetFolderId);
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
+    const result = await fileService.moveFile(file, {
+      userId: req.user.id,
+      name: parsedName ? parsedName.fileName : file.original_name,
+      folderId: targetFolderId,
+      onConflict
+    });
+
+    if (result.skip) {
+      return res.json({
+        message: 'A file with this name already exists; the file was left unchanged',
+        skipped: true,
+        existingFileId: result.existingFile.id,
+        file
+      });
+    }
+
+    if (result.file.original_name !== file.original_name) {
+      await activityService.recordAccess(req.user.id, file.id, 'rename');
+    }
+
+    res.json({
+      message: 'File updated successfully',
+      file: result.file
+    });
+  } catch (error) {
+    if (error.code === 'NAME_CONFLICT') {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Update file error:', error);
+    res.status(500).json({ error: 'Failed to update file' });
+  }
+});
+
+// Copy a file into folderId (default: its own folder, null for the root).
+// The copy shares the stored content instead of uploading it again, but is
+// charged to the user's quota. Name conflicts follow onConflict, which
+// defaults to rename.
+router.post('/:fileId/copy', authenticateToken, async (req, res) => {
+  let reservation = null;
+
+  try {
+    const { fileId } = req.params;
+    const { name } = req.body;
+
+    const parsedName = name === undefined ? null : folderService.parseRelativePath(String(name));
+    if (name !== undefined && (!parsedName || parsedName.folders.length > 0)) {
+      return res.status(400).json({ error: 'name must be a single file name' });
+    }
+
+    const hasFolder = req.body.folderId !== undefined;
+    if (hasFolder && req.body.folderId !== null && !Number.isInteger(Number(req.body.folderId))) {
+      return res.status(400).json({ error: 'folderId must be a folder ID or null' });
+    }
+
+    const onConflict = fileService.parseConflictPolicy(req.body.onConflict);
+    if (!onConflict || onConflict === 'new-version') {
+      return res.status(400).json({ error: 'onConflict must be one of rename, replace, skip or fail' });
+    }
+
+    const fileResult = await pool.query(`
+      SELECT f.*, 
+             CASE WHEN f.user_id = $1 THEN 'owner' ELSE p.permission_type END as access_level
+      FROM files f
+      LEFT JOIN permissions p ON f.folder_id = p.folder_id AND p.shared_with_user_id = $1
+      WHERE f.id = $2 AND (f.user_id = $1 OR p.shared_with_user_id = $1) AND f.deleted_at IS NULL
+    `, [req.user.id, fileId]);
+
+    if (fileResult.rows.length === 0) {
+      return res.status(404).json({ error: 'File not found or access denied' });
+    }
+
+    const file = fileResult.rows[0];
+    let targetFolderId = file.folder_id;
+    if (hasFolder) {
+      targetFolderId = req.body.folderId === null ? null : parseInt(req.body.folderId);
+    }
+
+    const denial = await fileService.checkUploadAccess(targetFolderId, req.user.id, 'Insufficient permissions to copy files into this folder');
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
+    const placement = await fileService.resolveNameConflict({
+      userId: req.user.id,
+      folderId: targetFolderId,
+      name: parsedName ? parsedName.fileName : file.original_name,
+      onConflict
+    });
+
+    if (placement.skip) {
+      return res.json({
+        message: 'A file with this name already exists; nothing was copied',
+        skipped: true,
+        existingFileId: placement.existingFile.id
+      });
+    }
+
+    const reserved = await storageReservationService.reserve(req.user.id, parseInt(file.size));
+    if (reserved.denial) {
+      return res.status(reserved.denial.status).json(reserved.denial.body);
+    }
+    reservation = reserved.reservation;
+
+    const replacedFile = placement.replaceFile ? await fileService.trashReplacedFile(placement.replaceFile, req.user.id) : null;
+
+    let copy;
+    try {
+      copy = await copyService.copyFile(file, {
+        userId: req.user.id,
+        folderId: targetFolderId,
+        originalName: placement.name,
+        renameOnConflict: placement.renameOnConflict,
+        reservationId: reservation.id
+      });
+    } catch (error) {
+      await fileService.restoreReplacedFile(replacedFile);
+      throw error;
+    }
+
+    res.status(201).json({
+      message: 'File copied successfully',
+      file: copy
+    });
+  } catch (error) {
+    if (['NAME_CONFLICT', 'QUOTA_EXCEEDED'].includes(error.code)) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Copy file error:', error);
+    res.status(500).json({ error: 'Failed to copy file' });
+  } finally {
+    if (reservation) {
+      await storageReservationService.release(reservation.id).catch(() => {});
+    }
+  }
+});
+
+// Checks the user may upload a new version of the file before any bytes are
+// transferred, and sets req.versionTarget so the upload is reserved against
+// the file owner's quota
+const loadVersionTarget = async (req, res, next) => {
+  try {
+    const existingFile = await getAccessibleFile(req.user.id, req.params.fileId);
+    if (!existingFile) {
+      return res.status(404).json({ error: 'File not found or access denied' });
+    }
+
+    if (existingFile.access_level !== 'owner' && existingFile.access_level !== 'edit') {
+      return res.status(403).json({ error: 'Insufficient permissions to upload a new version of this file' });
+    }
+
+    req.versionTarget = existingFile;
+    next();
+  } catch (error) {
+    console.error('Upload file version error:', error);
+    res.status(500).json({ error: 'Failed to upload new version' });
+  }
+};
+
+// Upload new content for an existing file. The file keeps its id, name,
+// folder and shares; the content it had becomes a version. Both count
+// toward the file owner's quota, whoever uploads it.
+router.post('/:fileId/versions', authenticateToken, checkChecksumHeaders, loadVersionTarget, reserveUploadStorage('fileSize', (req) => req.versionTarget.user_id), uploadVersion.single('file'), async (req, res) => {
+  try {
+    const file = req.file;
+
+    if (!file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    if (file.rejectionReason) {
+      return res.status(415).json({ error: file.rejectionReason });
+    }
+
+    fileService.verifyChecksums(req.expectedChecksums, file);
+
+    // Looked up again in case it was deleted or unshared during the upload
+    const existingFile = await getAccessibleFile(req.user.id, req.params.fileId);
+    if (!existingFile) {
+      await b2Storage.discardFiles([file]);
+      return res.status(404).json({ error: 'File not found or access denied' });
+    }
+
+    if (existingFile.access_level !== 'owner' && existingFile.access_level !== 'edit') {
+      await b2Storage.discardFiles([file]);
+      return res.status(403).json({ error: 'Insufficient permissions to upload a new version of this file' });
+    }
+
+    const thumbnailData = await fileService.generateThumbnail(
+      file.thumbnailSource,
+      existingFile.original_name,
+      file.detectedMimeType
+    );
+
+    const fileRecord = await fileService.createFileRecord({
+      userId: req.user.id,
+      folderId: existingFile.folder_id,
+      name: file.filename,
+      originalName: existingFile.original_name,
+      mimeType: file.detectedMimeType,
+      declaredMimeType: file.mimetype,
+      typeMismatch: file.typeMismatch,
+      size: file.size,
+      sha256: file.sha256,
+      sha1: file.sha1,
+      uploadResult: file.uploadResult,
+      thumbnailData,
+      reservationId: req.storageReservation.id,
+      newVersionOf: existingFile
+    });
+
+    res.status(201).json({
+      message: 'New version uploaded successfully',
+      file: fileRecord
+    });
+  } catch (error) {
+    if (req.file) {
+      await b2Storage.discardFiles([req.file]);
+    }
+
+    if (['NAME_CONFLICT', 'CHECKSUM_MISMATCH', 'QUOTA_EXCEEDED'].includes(error.code)) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Upload file version error:', error);
+    res.status(500).json({ error: 'Failed to upload new version' });
+  } finally {
+    if (req.file) {
+      await b2Storage.releaseFile(req.file);
+    }
+  }
+});
+
+// Earlier versions of a file, newest first. The current content is the file
+// itself, described by version_number and version_created_at.
+router.get('/:fileId/versions', authenticateToken, async (req, res) => {
+  try {
+    const file = await getAccessibleFile(req.user.id, req.params.fileId);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found or access denied' });
+    }
+
+    const versions = await versionService.listVersions(file.id);
+
+    res.json({
+      current: {
+        version_number: file.version_number,
+        size: file.size,
+        mime_type: file.mime_type,
+        content_sha256: file.content_sha256,
+        created_at: file.version_created_at || file.created_at
+      },
+      versions,
+      retention: {
+        maxVersions: versionService.maxVersions,
+        maxAgeDays: versionService.maxAgeDays
+      }
+    });
+  } catch (error) {
+    console.error('List file versions error:', error);
+    res.status(500).json({ error: 'Failed to retrieve file versions' });
+  }
+});
+
+// Download an earlier version. A signed download URL for the file covers its
+// versions too.
+router.get('/:fileId/versions/:versionId/download', authenticateFileRequest('download'), async (req, res) => {
+  try {
+    const file = await getAccessibleFile(req.userId, req.params.fileId);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found or access denied' });
+    }
+
+    const version = await versionService.getVersion(file.id, req.params.versionId);
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    const versionSize = parseInt(version.size);
+
+    res.setHeader('Cache-Control', CACHE_CONTROL.private);
+    if (sendNotModified(req, res, {
+      contentHash: version.content_sha256,
+      backblazeFileId: version.backblaze_file_id,
+      updatedAt: version.created_at
+    })) return;
+
+    const range = getRequestedRange(req, res, versionSize);
+    if (range && range.unsatisfiable) {
+      return sendRangeNotSatisfiable(res, versionSize);
+    }
+
+    res.setHeader('Content-Disposition', `attachment; filename="${file.original_name}"`);
+    res.setHeader('Content-Type', version.mime_type);
+    res.setHeader('Content-Length', versionSize);
+    res.setHeader('Accept-Ranges', 'bytes');
+
+    await objectCache.pipe(req, res, {
+      fileName: version.name,
+      range,
+      size: versionSize,
+      label: 'version-download',
+      errorMessage: 'Failed to download file version'
+    });
+  } catch (error) {
+    console.error('Download file version error:', error);
+    res.status(500).json({ error: 'Failed to download file version' });
+  }
+});
+
+// Make an earlier version current again. The content it replaces is kept as
+// the newest version.
+router.post('/:fileId/versions/:versionId/restore', authenticateToken, async (req, res) => {
+  try {
+    const file = await getAccessibleFile(req.user.id, req.params.fileId);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found or access denied' });
+    }
+
+    if (file.access_level !== 'owner' && file.access_level !== 'edit') {
+      return res.status(403).json({ error: 'Insufficient permissions to restore versions of this file' });
+    }
+
+    const restored = await versionService.restoreVersion(file, req.params.versionId);
+    if (!restored) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    res.json({
+      message: 'Version restored successfully',
+      file: restored
+    });
+  } catch (error) {
+    console.error('Restore file version error:', error);
+    res.status(500).json({ error: 'Failed to restore file version' });
+  }
+});
+
+// Delete an earlier version, giving its size back to the owner's quota
+router.delete('/:fileId/versions/:versionId', authenticateToken, async (req, res) => {
+  try {
+    const file = await getAccessibleFile(req.user.id, req.params.fileId);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found or access denied' });
+    }
+
+    if (file.access_level !== 'owner' && file.access_level !== 'edit') {
+      return res.status(403).json({ error: 'Insufficient permissions to delete versions of this file' });
+    }
+
+    const deleted = await versionService.deleteVersion(file.id, req.params.versionId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    res.json({ message: 'Version deleted successfully' });
+  } catch (error) {
+    console.error('Delete file version error:', error);
+    res.status(500).json({ error: 'Failed to delete file version' });
+  }
+});
+
+// Move a file to its owner's trash (see routes/trash.js)
 router.delete('/:fileId', authenticateToken, async (req, res) => {
   try {
     const { fileId } = req.params;
@@ -419,7 +1157,7 @@ router.delete('/:fileId', authenticateToken, async (req, res) => {
              CASE WHEN f.user_id = $1 THEN 'owner' ELSE p.permission_type END as access_level
       FROM files f
       LEFT JOIN permissions p ON f.folder_id = p.folder_id AND p.shared_with_user_id = $1
-      WHERE f.id = $2 AND (f.user_id = $1 OR p.shared_with_user_id = $1)
+      WHERE f.id = $2 AND (f.user_id = $1 OR p.shared_with_user_id = $1) AND f.deleted_at IS NULL
     `, [req.user.id, fileId]);
 
     if (fileResult.rows.length === 0) {
@@ -432,123 +1170,201 @@ router.delete('/:fileId', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Insufficient permissions to delete this file' });
     }
 
-    try {
-      await backblazeService.deleteFile(file.backblaze_file_id, file.name);
-    } catch (b2Error) {
-      console.error('Backblaze deletion error:', b2Error);
+    await trashService.trashFile(file, req.user.id);
+
+    res.json({ message: 'File moved to trash' });
+  } catch (error) {
+    console.error('Delete file error:', error);
+    res.status(500).json({ error: 'Failed to delete file' });
+  }
+});
+
+// Bulk delete files (to the trash)
+router.delete('/bulk', authenticateToken, async (req, res) => {
+  try {
+    const { fileIds } = req.body;
+
+    if (!Array.isArray(fileIds) || fileIds.length === 0) {
+      return res.status(400).json({ error: 'fileIds must be a non-empty array' });
     }
 
-    await pool.query('DELETE FROM files WHERE id = $1', [fileId]);
+    const placeholders = fileIds.map((_, index) => `$${index + 2}`).join(',');
+    const fileResults = await pool.query(`
+      SELECT f.*, 
+             CASE WHEN f.user_id = $1 THEN 'owner' ELSE p.permission_type END as access_level
+      FROM files f
+      LEFT JOIN permissions p ON f.folder_id = p.folder_id AND p.shared_with_user_id = $1
+      WHERE f.id IN (${placeholders}) AND (f.user_id = $1 OR p.shared_with_user_id = $1) AND f.deleted_at IS NULL
+    `, [req.user.id, ...fileIds]);
 
-    // Update user's storage usage (decrease by file size)
-    await pool.query(
-      'UPDATE users SET storage_used = storage_used - $1 WHERE id = $2',
-      [file.size, file.user_id]
-    );
+    const foundFiles = fileResults.rows;
+    const notFoundIds = fileIds.filter(id => !foundFiles.find(f => f.id === parseInt(id)));
+    const unauthorizedFiles = foundFiles.filter(f => f.access_level !== 'owner' && f.access_level !== 'edit');
+    const deletableFiles = foundFiles.filter(f => f.access_level === 'owner' || f.access_level === 'edit');
+
+    if (unauthorizedFiles.length > 0) {
+      return res.status(403).json({ 
+        error: 'Insufficient permissions for some files',
+        unauthorizedFiles: unauthorizedFiles.map(f => ({ id: f.id, name: f.original_name }))
+      });
+    }
 
-    res.json({ message: 'File deleted successfully' });
+    const results = {
+      deleted: [],
+      failed: [],
+      notFound: notFoundIds
+    };
+
+    for (const file of deletableFiles) {
+      try {
+        await trashService.trashFile(file, req.user.id);
+        results.deleted.push({ id: file.id, name: file.original_name });
+      } catch (error) {
+        console.error(`Failed to delete file ${file.id}:`, error);
+        results.failed.push({ id: file.id, name: file.original_name, error: error.message });
+      }
+    }
+
+    res.json({
+      message: `Bulk delete completed. ${results.deleted.length} files moved to trash.`,
+      results
+    });
   } catch (error) {
-    console.error('Delete file error:', error);
-    res.status(500).json({ error: 'Failed to delete file' });
+    console.error('Bulk delete files error:', error);
+    res.status(500).json({ error: 'Failed to bulk delete files' });
   }
 });
 
-// Bulk delete files
-router.delete('/bulk', authenticateToken, async (req, res) => {
+// Move several files into one folder (folderId null is the root). Each file
+// needs the same access as a single move; files that can't be moved are
+// reported without stopping the rest. onConflict defaults to fail.
+router.post('/move', authenticateToken, async (req, res) => {
   try {
-    const { fileIds } = req.body;
+    const { fileIds, folderId } = req.body;
 
-    if (!Array.isArray(fileIds) || fileIds.length === 0) {
-      return res.status(400).json({ error: 'fileIds must be a non-empty array' });
+    if (!Array.isArray(fileIds) || fileIds.length === 0 || !fileIds.every(id => Number.isInteger(Number(id)))) {
+      return res.status(400).json({ error: 'fileIds must be a non-empty array of IDs' });
+    }
+
+    if (folderId === undefined || (folderId !== null && !Number.isInteger(Number(folderId)))) {
+      return res.status(400).json({ error: 'folderId must be a folder ID or null' });
+    }
+
+    const onConflict = fileService.parseConflictPolicy(req.body.onConflict || 'fail');
+    if (!onConflict || onConflict === 'new-version') {
+      return res.status(400).json({ error: 'onConflict must be one of rename, replace, skip or fail' });
+    }
+
+    const targetFolderId = folderId === null ? null : parseInt(folderId);
+    const targetDenial = await fileService.checkUploadAccess(targetFolderId, req.user.id, 'Insufficient permissions to move files into this folder');
+    if (targetDenial) {
+      return res.status(targetDenial.status).json(targetDenial.body);
     }
 
-    const placeholders = fileIds.map((_, index) => `$${index + 2}`).join(',');
     const fileResults = await pool.query(`
       SELECT f.*, 
              CASE WHEN f.user_id = $1 THEN 'owner' ELSE p.permission_type END as access_level
       FROM files f
       LEFT JOIN permissions p ON f.folder_id = p.folder_id AND p.shared_with_user_id = $1
-      WHERE f.id IN (${placeholders}) AND (f.user_id = $1 OR p.shared_with_user_id = $1)
-    `, [req.user.id, ...fileIds]);
+      WHERE f.id = ANY($2::int[]) AND (f.user_id = $1 OR p.shared_with_user_id = $1) AND f.deleted_at IS NULL
+    `, [req.user.id, fileIds]);
 
     const foundFiles = fileResults.rows;
-    const notFoundIds = fileIds.filter(id => !foundFiles.find(f => f.id === parseInt(id)));
-    const unauthorizedFiles = foundFiles.filter(f => f.access_level !== 'owner' && f.access_level !== 'edit');
-    const deletableFiles = foundFiles.filter(f => f.access_level === 'owner' || f.access_level === 'edit');
-
-    if (unauthorizedFiles.length > 0) {
-      return res.status(403).json({ 
-        error: 'Insufficient permissions for some files',
-        unauthorizedFiles: unauthorizedFiles.map(f => ({ id: f.id, name: f.original_name }))
-      });
-    }
-
     const results = {
-      deleted: [],
+      moved: [],
+      skipped: [],
       failed: [],
-      notFound: notFoundIds
+      notFound: fileIds.filter(id => !foundFiles.find(f => f.id === parseInt(id)))
     };
 
-    for (const file of deletableFiles) {
+    for (const file of foundFiles) {
       try {
-        try {
-          await backblazeService.deleteFile(file.backblaze_file_id, file.name);
-        } catch (b2Error) {
-          console.error(`Backblaze deletion error for file ${file.id}:`, b2Error);
+        const denial = await fileService.checkMoveAccess(file, req.user.id, targetFolderId);
+        if (denial) {
+          results.failed.push({ id: file.id, name: file.original_name, error: denial.body.error });
+          continue;
         }
 
-        await pool.query('DELETE FROM files WHERE id = $1', [file.id]);
-        
-        // Update user's storage usage (decrease by file size)
-        await pool.query(
-          'UPDATE users SET storage_used = storage_used - $1 WHERE id = $2',
-          [file.size, file.user_id]
-        );
-        
-        results.deleted.push({ id: file.id, name: file.original_name });
+        const result = await fileService.moveFile(file, {
+          userId: req.user.id,
+          folderId: targetFolderId,
+          onConflict
+        });
+
+        if (result.skip) {
+          results.skipped.push({ id: file.id, name: file.original_name, existingFileId: result.existingFile.id });
+        } else {
+          results.moved.push({ id: file.id, name: result.file.original_name });
+        }
       } catch (error) {
-        console.error(`Failed to delete file ${file.id}:`, error);
+        if (error.code !== 'NAME_CONFLICT') {
+          console.error(`Failed to move file ${file.id}:`, error);
+        }
         results.failed.push({ id: file.id, name: file.original_name, error: error.message });
       }
     }
 
     res.json({
-      message: `Bulk delete completed. ${results.deleted.length} files deleted.`,
+      message: `Bulk move completed. ${results.moved.length} files moved.`,
       results
     });
   } catch (error) {
-    console.error('Bulk delete files error:', error);
-    res.status(500).json({ error: 'Failed to bulk delete files' });
+    console.error('Bulk move files error:', error);
+    res.status(500).json({ error: 'Failed to move files' });
   }
 });
 
-// Download file with caching
-router.get('/:fileId/download', async (req, res) => {
+// Download a folder and/or selected files and folders as one ZIP, built
+// while it is sent. folderId's contents go to the top level of the archive;
+// fileIds and folderIds are added next to them.
+router.post('/archive', authenticateToken, async (req, res) => {
   try {
-    const { fileId } = req.params;
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1] || req.query.token;
+    const { folderId = null, fileIds = [], folderIds = [] } = req.body;
+    const isIdList = (value) => Array.isArray(value) && value.every(id => Number.isInteger(Number(id)));
 
-    if (!token) {
-      return res.status(401).json({ error: 'Access token required' });
+    if (!isIdList(fileIds) || !isIdList(folderIds) || (folderId !== null && !Number.isInteger(Number(folderId)))) {
+      return res.status(400).json({ error: 'folderId must be an ID and fileIds and folderIds arrays of IDs' });
     }
 
-    // Verify token
-    const jwt = require('jsonwebtoken');
-    let userId;
-    try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      userId = decoded.userId;
-    } catch (error) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
+    if (folderId === null && fileIds.length === 0 && folderIds.length === 0) {
+      return res.status(400).json({ error: 'At least one of folderId, fileIds or folderIds is required' });
+    }
+
+    const { entries, rootFolder, denial } = await zipDownloadService.collectEntries(req.user.id, {
+      folderId,
+      fileIds,
+      folderIds
+    });
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
     }
 
+    const archiveName = rootFolder ? rootFolder.name : 'download';
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${archiveName.replace(/"/g, '')}.zip"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    await zipDownloadService.streamZip(res, entries);
+  } catch (error) {
+    console.error('Archive download error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to create archive' });
+    }
+  }
+});
+
+// Download file with caching
+router.get('/:fileId/download', authenticateFileRequest('download'), async (req, res) => {
+  try {
+    const { fileId } = req.params;
+    const userId = req.userId;
+
     const result = await pool.query(`
       SELECT f.*, 
              CASE WHEN f.user_id = $1 THEN 'owner' ELSE p.permission_type END as access_level
       FROM files f
       LEFT JOIN permissions p ON f.folder_id = p.folder_id AND p.shared_with_user_id = $1
-      WHERE f.id = $2 AND (f.user_id = $1 OR p.shared_with_user_id = $1)
+      WHERE f.id = $2 AND (f.user_id = $1 OR p.shared_with_user_id = $1) AND f.deleted_at IS NULL
     `, [userId, fileId]);
 
     if (result.rows.length === 0) {
@@ -556,87 +1372,39 @@ router.get('/:fileId/download', async (req, res) => {
     }
 
     const file = result.rows[0];
-    
-    // Update download count
-    await pool.query('UPDATE files SET download_count = download_count + 1 WHERE id = $1', [fileId]);
+    const fileSize = parseInt(file.size);
+
+    res.setHeader('Cache-Control', CACHE_CONTROL.private);
+    if (sendNotModified(req, res, {
+      contentHash: file.content_sha256,
+      backblazeFileId: file.backblaze_file_id,
+      updatedAt: file.updated_at
+    })) return;
+
+    const range = getRequestedRange(req, res, fileSize);
+    if (range && range.unsatisfiable) {
+      return sendRangeNotSatisfiable(res, fileSize);
+    }
+
+    // Resumed downloads aren't counted again
+    if (!range || range.start === 0) {
+      await pool.query('UPDATE files SET download_count = download_count + 1 WHERE id = $1', [fileId]);
+      await activityService.recordAccess(userId, file.id, 'download');
+    }
 
-    // Get fresh authorized download URL
-    const downloadUrl = await backblazeService.getDownloadUrl(file.name);
-    
     // Set download headers
     res.setHeader('Content-Disposition', `attachment; filename="${file.original_name}"`);
     res.setHeader('Content-Type', file.mime_type);
-    res.setHeader('Content-Length', file.size);
-    
-    // Proxy the file content instead of redirecting with better error handling
-    const https = require('https');
-    const http = require('http');
-    const url = require('url');
-    
-    const parsedUrl = url.parse(downloadUrl);
-    const isHttps = parsedUrl.protocol === 'https:';
-    const httpModule = isHttps ? https : http;
-    
-    const proxyReq = httpModule.get(downloadUrl, {
-      timeout: 60000, // 60 second timeout for downloads
-      headers: {
-        'User-Agent': 'ByteCloud-Proxy/1.0'
-      }
-    }, (proxyRes) => {
-      // Handle client disconnect
-      req.on('close', () => {
-        if (proxyRes && !proxyRes.destroyed) {
-          proxyRes.destroy();
-        }
-      });
-      
-      req.on('aborted', () => {
-        if (proxyRes && !proxyRes.destroyed) {
-          proxyRes.destroy();
-        }
-      });
-      
-      // Forward headers from Backblaze
-      if (proxyRes.headers['content-length']) {
-        res.setHeader('Content-Length', proxyRes.headers['content-length']);
-      }
-      
-      // Error handling
-      proxyRes.on('error', (error) => {
-        console.error('Proxy download response error:', error);
-        if (!res.headersSent) {
-          res.status(500).json({ error: 'Download stream error' });
-        }
-      });
-      
-      res.on('error', (error) => {
-        console.error('Download response stream error:', error);
-        if (proxyRes && !proxyRes.destroyed) {
-          proxyRes.destroy();
-        }
-      });
-      
-      // Forward the content
-      proxyRes.pipe(res);
-    });
-    
-    proxyReq.on('timeout', () => {
-      console.error('Download proxy request timeout');
-      proxyReq.destroy();
-      if (!res.headersSent) {
-        res.status(504).json({ error: 'Download timeout' });
-      }
-    });
-    
-    proxyReq.on('error', (error) => {
-      console.error('Proxy download error:', error);
-      if (!res.headersSent) {
-        res.status(500).json({ error: 'Failed to download file' });
-      }
+    res.setHeader('Content-Length', fileSize);
+    res.setHeader('Accept-Ranges', 'bytes');
+
+    await objectCache.pipe(req, res, {
+      fileName: file.name,
+      range,
+      size: fileSize,
+      label: 'download',
+      errorMessage: 'Failed to download file'
     });
-    
-    proxyReq.setTimeout(60000);
-    
   } catch (error) {
     console.error('Download file error:', error);
     res.status(500).json({ error: 'Failed to download file' });
@@ -644,32 +1412,17 @@ router.get('/:fileId/download', async (req, res) => {
 });
 
 // Get thumbnail for a file
-router.get('/:fileId/thumbnail', async (req, res) => {
+router.get('/:fileId/thumbnail', authenticateFileRequest('thumbnail'), async (req, res) => {
   try {
     const { fileId } = req.params;
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-
-    if (!token) {
-      return res.status(401).json({ error: 'Access token required' });
-    }
-
-    // Verify token
-    const jwt = require('jsonwebtoken');
-    let userId;
-    try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      userId = decoded.userId;
-    } catch (error) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
-    }
+    const userId = req.userId;
 
     const result = await pool.query(`
       SELECT f.*, 
              CASE WHEN f.user_id = $1 THEN 'owner' ELSE p.permission_type END as access_level
       FROM files f
       LEFT JOIN permissions p ON f.folder_id = p.folder_id AND p.shared_with_user_id = $1
-      WHERE f.id = $2 AND (f.user_id = $1 OR p.shared_with_user_id = $1)
+      WHERE f.id = $2 AND (f.user_id = $1 OR p.shared_with_user_id = $1) AND f.deleted_at IS NULL
     `, [userId, fileId]);
 
     if (result.rows.length === 0) {
@@ -682,46 +1435,21 @@ router.get('/:fileId/thumbnail', async (req, res) => {
       return res.status(404).json({ error: 'Thumbnail not available' });
     }
 
-    // Get thumbnail download URL
-    const thumbnailUrl = await backblazeService.getDownloadUrl(file.thumbnail_path);
-    
+    res.setHeader('Cache-Control', CACHE_CONTROL.privateThumbnail);
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    if (sendNotModified(req, res, {
+      backblazeFileId: file.thumbnail_backblaze_file_id,
+      updatedAt: file.updated_at
+    })) return;
+
     // Set appropriate headers for thumbnail
     res.setHeader('Content-Type', 'image/jpeg');
-    res.setHeader('Cache-Control', 'public, max-age=86400'); // 24 hours
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    
-    // Proxy the thumbnail
-    const https = require('https');
-    const http = require('http');
-    const url = require('url');
-    
-    const parsedUrl = url.parse(thumbnailUrl);
-    const protocol = parsedUrl.protocol === 'https:' ? https : http;
-    
-    const proxyReq = protocol.request(thumbnailUrl, (proxyRes) => {
-      if (proxyRes.headers['content-length']) {
-        res.setHeader('Content-Length', proxyRes.headers['content-length']);
-      }
-      
-      proxyRes.on('error', (error) => {
-        console.error('Thumbnail proxy error:', error);
-        if (!res.headersSent) {
-          res.status(500).json({ error: 'Failed to load thumbnail' });
-        }
-      });
-      
-      proxyRes.pipe(res);
-    });
-    
-    proxyReq.on('error', (error) => {
-      console.error('Thumbnail request error:', error);
-      if (!res.headersSent) {
-        res.status(500).json({ error: 'Failed to load thumbnail' });
-      }
+
+    await objectCache.pipe(req, res, {
+      fileName: file.thumbnail_path,
+      label: 'thumbnail',
+      errorMessage: 'Failed to load thumbnail'
     });
-    
-    proxyReq.end();
-    
   } catch (error) {
     console.error('Get thumbnail error:', error);
     res.status(500).json({ error: 'Failed to get thumbnail' });
@@ -729,32 +1457,17 @@ router.get('/:fileId/thumbnail', async (req, res) => {
 });
 
 // View file with caching (for inline display) - Support for images, videos, and PDFs
-router.get('/:fileId/view', async (req, res) => {
+router.get('/:fileId/view', authenticateFileRequest('view'), async (req, res) => {
   try {
     const { fileId } = req.params;
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1] || req.query.token;
-
-    if (!token) {
-      return res.status(401).json({ error: 'Access token required' });
-    }
-
-    // Verify token
-    const jwt = require('jsonwebtoken');
-    let userId;
-    try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      userId = decoded.userId;
-    } catch (error) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
-    }
+    const userId = req.userId;
 
     const result = await pool.query(`
       SELECT f.*, 
              CASE WHEN f.user_id = $1 THEN 'owner' ELSE p.permission_type END as access_level
       FROM files f
       LEFT JOIN permissions p ON f.folder_id = p.folder_id AND p.shared_with_user_id = $1
-      WHERE f.id = $2 AND (f.user_id = $1 OR p.shared_with_user_id = $1)
+      WHERE f.id = $2 AND (f.user_id = $1 OR p.shared_with_user_id = $1) AND f.deleted_at IS NULL
     `, [userId, fileId]);
 
     if (result.rows.length === 0) {
@@ -771,51 +1484,46 @@ router.get('/:fileId/view', async (req, res) => {
       return res.status(400).json({ error: 'File type not supported for inline viewing' });
     }
 
+    const fileSize = parseInt(file.size);
+
+    res.setHeader('Cache-Control', CACHE_CONTROL.private);
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    if (sendNotModified(req, res, {
+      contentHash: file.content_sha256,
+      backblazeFileId: file.backblaze_file_id,
+      updatedAt: file.updated_at
+    })) return;
+
+    const range = getRequestedRange(req, res, fileSize);
+    if (range && range.unsatisfiable) {
+      return sendRangeNotSatisfiable(res, fileSize);
+    }
+
     // Cache file metadata
     await redisService.cacheFileMetadata(fileId, file, 3600);
 
-    // Get fresh authorized download URL
-    const viewUrl = await backblazeService.getDownloadUrl(file.name);
-    
-    // Proxy the image instead of redirecting to avoid CORS issues
-    const https = require('https');
-    const http = require('http');
-    const url = require('url');
-    
-    const parsedUrl = url.parse(viewUrl);
-    const protocol = parsedUrl.protocol === 'https:' ? https : http;
-    
-    const proxyReq = protocol.request(viewUrl, (proxyRes) => {
-      // Set CORS headers
-      res.setHeader('Access-Control-Allow-Origin', '*');
-      res.setHeader('Access-Control-Allow-Methods', 'GET');
-      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-      
-      // Set proper headers for file display
-      res.setHeader('Content-Type', file.mime_type);
-      res.setHeader('Cache-Control', 'public, max-age=3600');
-      if (proxyRes.headers['content-length']) {
-        res.setHeader('Content-Length', proxyRes.headers['content-length']);
-      }
-      
-      // Set disposition based on file type
-      if (file.mime_type.startsWith('image/') || file.mime_type.startsWith('video/') || file.mime_type === 'application/pdf') {
-        res.setHeader('Content-Disposition', `inline; filename="${file.original_name}"`);
-      }
-      
-      // Pipe the response
-      proxyRes.pipe(res);
-    });
-    
-    proxyReq.on('error', (error) => {
-      console.error('Proxy request error:', error);
-      if (!res.headersSent) {
-        res.status(500).json({ error: 'Failed to load file' });
-      }
+    // Later ranges of the same view aren't recorded again
+    if (!range || range.start === 0) {
+      await activityService.recordAccess(userId, file.id, 'view');
+    }
+
+    // Set CORS headers
+    res.setHeader('Access-Control-Allow-Methods', 'GET');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Range');
+    res.setHeader('Access-Control-Expose-Headers', 'Accept-Ranges, Content-Range, Content-Length, ETag, Last-Modified');
+
+    // Set proper headers for file display
+    res.setHeader('Content-Type', file.mime_type);
+    res.setHeader('Accept-Ranges', 'bytes');
+    setInlineDisposition(res, file.mime_type, file.original_name);
+
+    // Proxied instead of redirecting to avoid CORS issues
+    await objectCache.pipe(req, res, {
+      fileName: file.name,
+      range,
+      size: fileSize,
+      label: 'view'
     });
-    
-    proxyReq.end();
-    
   } catch (error) {
     console.error('View file error:', error);
     res.status(500).json({ error: 'Failed to view file' });
@@ -826,10 +1534,84 @@ router.get('/:fileId/view', async (req, res) => {
 router.options('/:fileId/view', (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Range');
   res.status(200).end();
 });
 
+// Star a file the user can see, or remove their star from it
+router.post('/:fileId/star', authenticateToken, async (req, res) => {
+  try {
+    const file = await getAccessibleFile(req.user.id, req.params.fileId);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found or access denied' });
+    }
+
+    await starService.star(req.user.id, 'file', file.id);
+
+    res.json({ message: 'File starred', starred: true });
+  } catch (error) {
+    console.error('Star file error:', error);
+    res.status(500).json({ error: 'Failed to star file' });
+  }
+});
+
+router.delete('/:fileId/star', authenticateToken, async (req, res) => {
+  try {
+    const removed = await starService.unstar(req.user.id, 'file', req.params.fileId);
+    if (!removed) {
+      return res.status(404).json({ error: 'File is not starred' });
+    }
+
+    res.json({ message: 'File unstarred', starred: false });
+  } catch (error) {
+    console.error('Unstar file error:', error);
+    res.status(500).json({ error: 'Failed to unstar file' });
+  }
+});
+
+// Mint a short-lived URL for the download, view or thumbnail route that
+// works without an Authorization header. expiresIn is in seconds.
+router.post('/:fileId/signed-url', authenticateToken, async (req, res) => {
+  try {
+    const { fileId } = req.params;
+    const { action, expiresIn } = req.body;
+
+    if (!signedUrlService.actions.includes(action)) {
+      return res.status(400).json({ error: `action must be one of ${signedUrlService.actions.join(', ')}` });
+    }
+
+    const fileResult = await pool.query(`
+      SELECT f.id, f.has_thumbnail
+      FROM files f
+      LEFT JOIN permissions p ON f.folder_id = p.folder_id AND p.shared_with_user_id = $1
+      WHERE f.id = $2 AND (f.user_id = $1 OR p.shared_with_user_id = $1) AND f.deleted_at IS NULL
+    `, [req.user.id, fileId]);
+
+    if (fileResult.rows.length === 0) {
+      return res.status(404).json({ error: 'File not found or access denied' });
+    }
+
+    if (action === 'thumbnail' && !fileResult.rows[0].has_thumbnail) {
+      return res.status(404).json({ error: 'Thumbnail not available' });
+    }
+
+    const query = signedUrlService.createQuery({
+      fileId: fileResult.rows[0].id,
+      action,
+      userId: req.user.id,
+      ttlSeconds: expiresIn
+    });
+
+    res.json({
+      url: `${req.protocol}://${req.get('host')}${req.baseUrl}/${fileResult.rows[0].id}/${action}?${new URLSearchParams(query)}`,
+      expiresAt: new Date(query.expires * 1000).toISOString()
+    });
+  } catch (error) {
+    console.error('Create signed URL error:', error);
+    res.status(500).json({ error: 'Failed to create signed URL' });
+  }
+});
+
 // Create public share link
 router.post('/:fileId/share', authenticateToken, async (req, res) => {
   try {
@@ -841,7 +1623,7 @@ router.post('/:fileId/share', authenticateToken, async (req, res) => {
              CASE WHEN f.user_id = $1 THEN 'owner' ELSE p.permission_type END as access_level
       FROM files f
       LEFT JOIN permissions p ON f.folder_id = p.folder_id AND p.shared_with_user_id = $1
-      WHERE f.id = $2 AND (f.user_id = $1 OR p.shared_with_user_id = $1)
+      WHERE f.id = $2 AND (f.user_id = $1 OR p.shared_with_user_id = $1) AND f.deleted_at IS NULL
     `, [req.user.id, fileId]);
 
     if (fileResult.rows.length === 0) {
@@ -898,7 +1680,7 @@ router.get('/public/:shareToken', async (req, res) => {
     if (!shareData) {
       // Check database if not in cache
       const result = await pool.query(
-        'SELECT * FROM files WHERE public_share_token = $1 AND is_public = TRUE',
+        'SELECT * FROM files WHERE public_share_token = $1 AND is_public = TRUE AND deleted_at IS NULL',
         [shareToken]
       );
 
@@ -920,101 +1702,56 @@ router.get('/public/:shareToken', async (req, res) => {
       await redisService.cachePublicShare(shareToken, shareData, 3600);
     }
 
-    // Update download count
-    await pool.query('UPDATE files SET download_count = download_count + 1 WHERE id = $1', [shareData.fileId]);
-
-    // Get file name from database
-    const fileResult = await pool.query('SELECT name FROM files WHERE id = $1', [shareData.fileId]);
+    // Get file name and validators from database
+    const fileResult = await pool.query(
+      'SELECT name, backblaze_file_id, content_sha256, updated_at FROM files WHERE id = $1',
+      [shareData.fileId]
+    );
     if (fileResult.rows.length === 0) {
       return res.status(404).json({ error: 'File not found' });
     }
-    
+
     const fileName = fileResult.rows[0].name;
-    
-    // Get fresh authorized download URL
-    const downloadUrl = await backblazeService.getDownloadUrl(fileName);
-    
+    const fileSize = parseInt(shareData.size);
+
+    res.setHeader('Cache-Control', CACHE_CONTROL.public);
+    if (sendNotModified(req, res, {
+      contentHash: fileResult.rows[0].content_sha256,
+      backblazeFileId: fileResult.rows[0].backblaze_file_id,
+      updatedAt: fileResult.rows[0].updated_at
+    })) return;
+
+    const range = getRequestedRange(req, res, fileSize);
+    if (range && range.unsatisfiable) {
+      return sendRangeNotSatisfiable(res, fileSize);
+    }
+
+    // Resumed downloads aren't counted again
+    if (!range || range.start === 0) {
+      await pool.query('UPDATE files SET download_count = download_count + 1 WHERE id = $1', [shareData.fileId]);
+    }
+
     // Set appropriate headers for the file
     res.setHeader('Content-Type', shareData.mimeType);
-    res.setHeader('Content-Length', shareData.size);
+    res.setHeader('Content-Length', fileSize);
+    res.setHeader('Accept-Ranges', 'bytes');
     
     // For images, videos, and PDFs show inline; for others, trigger download
     if (shareData.mimeType.startsWith('image/') || 
         shareData.mimeType.startsWith('video/') || 
         shareData.mimeType === 'application/pdf') {
-      res.setHeader('Content-Disposition', `inline; filename="${shareData.fileName}"`);
+      setInlineDisposition(res, shareData.mimeType, shareData.fileName);
     } else {
       res.setHeader('Content-Disposition', `attachment; filename="${shareData.fileName}"`);
     }
     
-    // Proxy the file content instead of redirecting with better error handling
-    const https = require('https');
-    const http = require('http');
-    const url = require('url');
-    
-    const parsedUrl = url.parse(downloadUrl);
-    const isHttps = parsedUrl.protocol === 'https:';
-    const httpModule = isHttps ? https : http;
-    
-    const proxyReq = httpModule.get(downloadUrl, {
-      timeout: 60000, // 60 second timeout
-      headers: {
-        'User-Agent': 'ByteCloud-Proxy/1.0'
-      }
-    }, (proxyRes) => {
-      // Handle client disconnect
-      req.on('close', () => {
-        if (proxyRes && !proxyRes.destroyed) {
-          proxyRes.destroy();
-        }
-      });
-      
-      req.on('aborted', () => {
-        if (proxyRes && !proxyRes.destroyed) {
-          proxyRes.destroy();
-        }
-      });
-      
-      // Forward headers from Backblaze
-      if (proxyRes.headers['content-length']) {
-        res.setHeader('Content-Length', proxyRes.headers['content-length']);
-      }
-      
-      // Error handling
-      proxyRes.on('error', (error) => {
-        console.error('Proxy public file response error:', error);
-        if (!res.headersSent) {
-          res.status(500).json({ error: 'Public file stream error' });
-        }
-      });
-      
-      res.on('error', (error) => {
-        console.error('Public file response stream error:', error);
-        if (proxyRes && !proxyRes.destroyed) {
-          proxyRes.destroy();
-        }
-      });
-      
-      // Forward the content
-      proxyRes.pipe(res);
-    });
-    
-    proxyReq.on('timeout', () => {
-      console.error('Public file proxy request timeout');
-      proxyReq.destroy();
-      if (!res.headersSent) {
-        res.status(504).json({ error: 'Request timeout' });
-      }
-    });
-    
-    proxyReq.on('error', (error) => {
-      console.error('Proxy public file error:', error);
-      if (!res.headersSent) {
-        res.status(500).json({ error: 'Failed to access file' });
-      }
+    await objectCache.pipe(req, res, {
+      fileName,
+      range,
+      size: fileSize,
+      label: 'public-download',
+      errorMessage: 'Failed to access file'
     });
-    
-    proxyReq.setTimeout(60000);
   } catch (error) {
     console.error('Public file access error:', error);
     res.status(500).json({ error: 'Failed to access file' });
@@ -1030,7 +1767,7 @@ router.get('/public/:shareToken/view', async (req, res) => {
     
     if (!shareData) {
       const result = await pool.query(
-        'SELECT * FROM files WHERE public_share_token = $1 AND is_public = TRUE',
+        'SELECT * FROM files WHERE public_share_token = $1 AND is_public = TRUE AND deleted_at IS NULL',
         [shareToken]
       );
 
@@ -1059,93 +1796,43 @@ router.get('/public/:shareToken/view', async (req, res) => {
       return res.status(400).json({ error: 'File is not viewable inline' });
     }
 
-    // Get file name from database
-    const fileResult = await pool.query('SELECT name FROM files WHERE id = $1', [shareData.fileId]);
+    // Get file name and validators from database
+    const fileResult = await pool.query(
+      'SELECT name, backblaze_file_id, content_sha256, updated_at FROM files WHERE id = $1',
+      [shareData.fileId]
+    );
     if (fileResult.rows.length === 0) {
       return res.status(404).json({ error: 'File not found' });
     }
     
     const fileName = fileResult.rows[0].name;
-    
-    // Get fresh authorized download URL
-    const downloadUrl = await backblazeService.getDownloadUrl(fileName);
-    
+    const fileSize = parseInt(shareData.size);
+
+    res.setHeader('Cache-Control', CACHE_CONTROL.public);
+    if (sendNotModified(req, res, {
+      contentHash: fileResult.rows[0].content_sha256,
+      backblazeFileId: fileResult.rows[0].backblaze_file_id,
+      updatedAt: fileResult.rows[0].updated_at
+    })) return;
+
+    const range = getRequestedRange(req, res, fileSize);
+    if (range && range.unsatisfiable) {
+      return sendRangeNotSatisfiable(res, fileSize);
+    }
+
     // Set headers for inline file viewing
     res.setHeader('Content-Type', shareData.mimeType);
-    res.setHeader('Content-Disposition', `inline; filename="${shareData.fileName}"`);
-    res.setHeader('Cache-Control', 'public, max-age=3600');
+    setInlineDisposition(res, shareData.mimeType, shareData.fileName);
     res.setHeader('Accept-Ranges', 'bytes');
     res.setHeader('Connection', 'keep-alive');
     
-    // Proxy the image content with better error handling
-    const https = require('https');
-    const http = require('http');
-    const url = require('url');
-    
-    const parsedUrl = url.parse(downloadUrl);
-    const isHttps = parsedUrl.protocol === 'https:';
-    const httpModule = isHttps ? https : http;
-    
-    const proxyReq = httpModule.get(downloadUrl, {
-      timeout: 30000, // 30 second timeout
-      headers: {
-        'User-Agent': 'ByteCloud-Proxy/1.0'
-      }
-    }, (proxyRes) => {
-      // Handle client disconnect
-      req.on('close', () => {
-        if (proxyRes && !proxyRes.destroyed) {
-          proxyRes.destroy();
-        }
-      });
-      
-      req.on('aborted', () => {
-        if (proxyRes && !proxyRes.destroyed) {
-          proxyRes.destroy();
-        }
-      });
-      
-      // Forward headers from Backblaze
-      if (proxyRes.headers['content-length']) {
-        res.setHeader('Content-Length', proxyRes.headers['content-length']);
-      }
-      
-      // Pipe with error handling
-      proxyRes.on('error', (error) => {
-        console.error('Proxy response error:', error);
-        if (!res.headersSent) {
-          res.status(500).json({ error: 'Stream error' });
-        }
-      });
-      
-      res.on('error', (error) => {
-        console.error('Response stream error:', error);
-        if (proxyRes && !proxyRes.destroyed) {
-          proxyRes.destroy();
-        }
-      });
-      
-      // Forward the content
-      proxyRes.pipe(res);
-    });
-    
-    proxyReq.on('timeout', () => {
-      console.error('Proxy request timeout');
-      proxyReq.destroy();
-      if (!res.headersSent) {
-        res.status(504).json({ error: 'Request timeout' });
-      }
-    });
-    
-    proxyReq.on('error', (error) => {
-      console.error('Proxy public image view error:', error);
-      if (!res.headersSent) {
-        res.status(500).json({ error: 'Failed to view image' });
-      }
+    await objectCache.pipe(req, res, {
+      fileName,
+      range,
+      size: fileSize,
+      label: 'public-view',
+      errorMessage: 'Failed to view image'
     });
-    
-    proxyReq.setTimeout(30000);
-    
   } catch (error) {
     console.error('Public image view error:', error);
     res.status(500).json({ error: 'Failed to view image' });
@@ -1161,7 +1848,7 @@ router.get('/public/:shareToken/thumbnail', async (req, res) => {
     
     if (!shareData) {
       const result = await pool.query(
-        'SELECT * FROM files WHERE public_share_token = $1 AND is_public = TRUE',
+        'SELECT * FROM files WHERE public_share_token = $1 AND is_public = TRUE AND deleted_at IS NULL',
         [shareToken]
       );
 
@@ -1187,46 +1874,29 @@ router.get('/public/:shareToken/thumbnail', async (req, res) => {
       return res.status(404).json({ error: 'Thumbnail not available' });
     }
 
-    // Get thumbnail download URL
-    const thumbnailUrl = await backblazeService.getDownloadUrl(shareData.thumbnailPath);
-    
+    const fileResult = await pool.query(
+      'SELECT thumbnail_backblaze_file_id, updated_at FROM files WHERE id = $1',
+      [shareData.fileId]
+    );
+    if (fileResult.rows.length === 0) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    res.setHeader('Cache-Control', CACHE_CONTROL.publicThumbnail);
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    if (sendNotModified(req, res, {
+      backblazeFileId: fileResult.rows[0].thumbnail_backblaze_file_id,
+      updatedAt: fileResult.rows[0].updated_at
+    })) return;
+
     // Set appropriate headers for thumbnail
     res.setHeader('Content-Type', 'image/jpeg');
-    res.setHeader('Cache-Control', 'public, max-age=86400'); // 24 hours
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    
-    // Proxy the thumbnail
-    const https = require('https');
-    const http = require('http');
-    const url = require('url');
-    
-    const parsedUrl = url.parse(thumbnailUrl);
-    const protocol = parsedUrl.protocol === 'https:' ? https : http;
-    
-    const proxyReq = protocol.request(thumbnailUrl, (proxyRes) => {
-      if (proxyRes.headers['content-length']) {
-        res.setHeader('Content-Length', proxyRes.headers['content-length']);
-      }
-      
-      proxyRes.on('error', (error) => {
-        console.error('Public thumbnail proxy error:', error);
-        if (!res.headersSent) {
-          res.status(500).json({ error: 'Failed to load thumbnail' });
-        }
-      });
-      
-      proxyRes.pipe(res);
-    });
-    
-    proxyReq.on('error', (error) => {
-      console.error('Public thumbnail request error:', error);
-      if (!res.headersSent) {
-        res.status(500).json({ error: 'Failed to load thumbnail' });
-      }
+
+    await objectCache.pipe(req, res, {
+      fileName: shareData.thumbnailPath,
+      label: 'public-thumbnail',
+      errorMessage: 'Failed to load thumbnail'
     });
-    
-    proxyReq.end();
-    
   } catch (error) {
     console.error('Get public thumbnail error:', error);
     res.status(500).json({ error: 'Failed to get thumbnail' });
@@ -1242,7 +1912,7 @@ router.get('/public/:shareToken/info', async (req, res) => {
     
     if (!shareData) {
       const result = await pool.query(
-        'SELECT * FROM files WHERE public_share_token = $1 AND is_public = TRUE',
+        'SELECT * FROM files WHERE public_share_token = $1 AND is_public = TRUE AND deleted_at IS NULL',
         [shareToken]
       );
 
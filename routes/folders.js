@@ -1,7 +1,15 @@
 const express = require('express');
 const { pool } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
-const backblazeService = require('../config/backblaze');
+const fileService = require('../services/fileService');
+const folderService = require('../services/folderService');
+const copyService = require('../services/copyService');
+const jobService = require('../services/jobService');
+const storageReservationService = require('../services/storageReservationService');
+const trashService = require('../services/trashService');
+const listingService = require('../services/listingService');
+const tagService = require('../services/tagService');
+const starService = require('../services/starService');
 
 const router = express.Router();
 
@@ -36,21 +44,18 @@ router.post('/', authenticateToken, async (req, res) => {
       }
     }
 
-    const existingFolder = await pool.query(
-      'SELECT id FROM folders WHERE name = $1 AND user_id = $2 AND parent_folder_id = $3',
-      [name.trim(), req.user.id, parent_folder_id || null]
-    );
-
-    if (existingFolder.rows.length > 0) {
-      return res.status(400).json({ error: 'Folder with this name already exists' });
-    }
-
+    // Folder names are unique per user and parent folder
     const result = await pool.query(`
       INSERT INTO folders (user_id, name, parent_folder_id)
       VALUES ($1, $2, $3)
+      ON CONFLICT DO NOTHING
       RETURNING *
     `, [req.user.id, name.trim(), parent_folder_id || null]);
 
+    if (result.rows.length === 0) {
+      return res.status(400).json({ error: 'Folder with this name already exists' });
+    }
+
     res.status(201).json({
       message: 'Folder created successfully',
       folder: result.rows[0]
@@ -61,36 +66,24 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
+// Subfolders of parent_folder_id (the root when left out), one page at a
+// time, sorted as GET /api/files sorts (folders sort by name for size and
+// type). Pass nextCursor back as cursor for the following page.
 router.get('/', authenticateToken, async (req, res) => {
   try {
     const { parent_folder_id } = req.query;
 
-    let query = `
-      SELECT f.*, 
-             CASE WHEN f.user_id = $1 THEN 'owner' ELSE p.permission_type END as access_level,
-             COUNT(sub.id) as subfolder_count,
-             COUNT(files.id) as file_count
-      FROM folders f
-      LEFT JOIN permissions p ON f.id = p.folder_id AND p.shared_with_user_id = $1
-      LEFT JOIN folders sub ON f.id = sub.parent_folder_id
-      LEFT JOIN files ON f.id = files.folder_id
-      WHERE (f.user_id = $1 OR p.shared_with_user_id = $1)
-    `;
-    let params = [req.user.id];
-
-    if (parent_folder_id) {
-      query += ' AND f.parent_folder_id = $2';
-      params.push(parent_folder_id);
-    } else {
-      query += ' AND f.parent_folder_id IS NULL';
+    const { options, error } = listingService.parseListOptions(req.query);
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    query += ' GROUP BY f.id, p.permission_type ORDER BY f.created_at DESC';
-
-    const result = await pool.query(query, params);
+    const listing = await listingService.listFolders(req.user.id, parent_folder_id, options);
 
     res.json({
-      folders: result.rows
+      folders: listing.folders,
+      nextCursor: listing.nextCursor,
+      total: listing.total
     });
   } catch (error) {
     console.error('Get folders error:', error);
@@ -106,7 +99,9 @@ router.get('/:folderId', authenticateToken, async (req, res) => {
       SELECT f.*, 
              CASE WHEN f.user_id = $1 THEN 'owner' ELSE p.permission_type END as access_level,
              COUNT(sub.id) as subfolder_count,
-             COUNT(files.id) as file_count
+             COUNT(files.id) as file_count,
+             ${tagService.getTagsColumn('folder', 'f.id')} as tags,
+             ${starService.getStarredColumn('folder', 'f.id')} as starred
       FROM folders f
       LEFT JOIN permissions p ON f.id = p.folder_id AND p.shared_with_user_id = $1
       LEFT JOIN folders sub ON f.id = sub.parent_folder_id
@@ -128,6 +123,43 @@ router.get('/:folderId', authenticateToken, async (req, res) => {
   }
 });
 
+// Star a folder the user can see, or remove their star from it
+router.post('/:folderId/star', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT f.id
+      FROM folders f
+      LEFT JOIN permissions p ON f.id = p.folder_id AND p.shared_with_user_id = $1
+      WHERE f.id = $2 AND (f.user_id = $1 OR p.shared_with_user_id = $1)
+    `, [req.user.id, req.params.folderId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Folder not found or access denied' });
+    }
+
+    await starService.star(req.user.id, 'folder', result.rows[0].id);
+
+    res.json({ message: 'Folder starred', starred: true });
+  } catch (error) {
+    console.error('Star folder error:', error);
+    res.status(500).json({ error: 'Failed to star folder' });
+  }
+});
+
+router.delete('/:folderId/star', authenticateToken, async (req, res) => {
+  try {
+    const removed = await starService.unstar(req.user.id, 'folder', req.params.folderId);
+    if (!removed) {
+      return res.status(404).json({ error: 'Folder is not starred' });
+    }
+
+    res.json({ message: 'Folder unstarred', starred: false });
+  } catch (error) {
+    console.error('Unstar folder error:', error);
+    res.status(500).json({ error: 'Failed to unstar folder' });
+  }
+});
+
 router.put('/:folderId', authenticateToken, async (req, res) => {
   try {
     const { folderId } = req.params;
@@ -165,11 +197,94 @@ router.put('/:folderId', authenticateToken, async (req, res) => {
       folder: result.rows[0]
     });
   } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({ error: 'Folder with this name already exists' });
+    }
+
     console.error('Update folder error:', error);
     res.status(500).json({ error: 'Failed to update folder' });
   }
 });
 
+// Copy a folder with everything in it the user can read, into
+// parent_folder_id (default: next to the original). The new top folder is
+// created right away under name (default: the original's, suffixed when
+// taken); files are copied by a background job reported like upload jobs.
+router.post('/:folderId/copy', authenticateToken, async (req, res) => {
+  let reservation = null;
+
+  try {
+    const { folderId } = req.params;
+    const { name } = req.body;
+
+    if (name !== undefined && (typeof name !== 'string' || name.trim() === '')) {
+      return res.status(400).json({ error: 'Folder name cannot be empty' });
+    }
+
+    const hasParent = req.body.parent_folder_id !== undefined;
+    if (hasParent && req.body.parent_folder_id !== null && !Number.isInteger(Number(req.body.parent_folder_id))) {
+      return res.status(400).json({ error: 'parent_folder_id must be a folder ID or null' });
+    }
+
+    const folders = await folderService.getReadableFolders(req.user.id, 'f.id = $2', [folderId]);
+    if (folders.length === 0) {
+      return res.status(404).json({ error: 'Folder not found or access denied' });
+    }
+
+    const folder = folders[0];
+    let parentFolderId = folder.parent_folder_id;
+    if (hasParent) {
+      parentFolderId = req.body.parent_folder_id === null ? null : parseInt(req.body.parent_folder_id);
+    }
+
+    const denial = await fileService.checkUploadAccess(parentFolderId, req.user.id, 'Insufficient permissions to create folder here');
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
+    const tree = await copyService.listTree(req.user.id, folder);
+    if (parentFolderId === folder.id || tree.folders.some(subfolder => subfolder.id === parentFolderId)) {
+      return res.status(400).json({ error: 'A folder cannot be copied into itself' });
+    }
+
+    const totalSize = tree.files.reduce((sum, { file }) => sum + parseInt(file.size), 0);
+    const reserved = await storageReservationService.reserve(req.user.id, totalSize, { sizeKey: 'totalSize' });
+    if (reserved.denial) {
+      return res.status(reserved.denial.status).json(reserved.denial.body);
+    }
+    reservation = reserved.reservation;
+
+    const copyFolder = await folderService.createWithAvailableName(req.user.id, parentFolderId, name ? name.trim() : folder.name);
+    const job = await copyService.createFolderCopyJob(req.user.id, tree);
+
+    // The job releases the reservation when it's done
+    copyService.copyTree(job, tree, {
+      userId: req.user.id,
+      targetFolderId: copyFolder.id,
+      reservationId: reservation.id
+    }).catch((error) => {
+      console.error('Folder copy error:', error);
+    });
+    reservation = null;
+
+    res.status(202).json({
+      message: `Folder created. ${tree.files.length} files are being copied.`,
+      jobId: job.id,
+      job: jobService.getSummary(job),
+      folder: copyFolder
+    });
+  } catch (error) {
+    console.error('Copy folder error:', error);
+    if (reservation) {
+      await storageReservationService.release(reservation.id).catch(() => {});
+    }
+    if (error.code === 'NAME_CONFLICT') {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to copy folder' });
+  }
+});
+
 router.delete('/:folderId', authenticateToken, async (req, res) => {
   try {
     const { folderId } = req.params;
@@ -289,7 +404,7 @@ router.delete('/bulk', authenticateToken, async (req, res) => {
   }
 });
 
-// Mixed bulk delete (files and folders)
+// Mixed bulk delete (files go to the trash, empty folders are deleted)
 router.delete('/bulk/mixed', authenticateToken, async (req, res) => {
   try {
     const { fileIds = [], folderIds = [] } = req.body;
@@ -312,7 +427,7 @@ router.delete('/bulk/mixed', authenticateToken, async (req, res) => {
                CASE WHEN f.user_id = $1 THEN 'owner' ELSE p.permission_type END as access_level
         FROM files f
         LEFT JOIN permissions p ON f.folder_id = p.folder_id AND p.shared_with_user_id = $1
-        WHERE f.id IN (${filePlaceholders}) AND (f.user_id = $1 OR p.shared_with_user_id = $1)
+        WHERE f.id IN (${filePlaceholders}) AND (f.user_id = $1 OR p.shared_with_user_id = $1) AND f.deleted_at IS NULL
       `, [req.user.id, ...fileIds]);
 
       const foundFiles = fileResults.rows;
@@ -324,13 +439,7 @@ router.delete('/bulk/mixed', authenticateToken, async (req, res) => {
 
       for (const file of deletableFiles) {
         try {
-          try {
-            await backblazeService.deleteFile(file.backblaze_file_id, file.name);
-          } catch (b2Error) {
-            console.error(`Backblaze deletion error for file ${file.id}:`, b2Error);
-          }
-
-          await pool.query('DELETE FROM files WHERE id = $1', [file.id]);
+          await trashService.trashFile(file, req.user.id);
           results.files.deleted.push({ id: file.id, name: file.original_name });
         } catch (error) {
           console.error(`Failed to delete file ${file.id}:`, error);
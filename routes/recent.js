@@ -0,0 +1,29 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const activityService = require('../services/activityService');
+
+const router = express.Router();
+
+// Files the user recently uploaded, viewed, downloaded or renamed, including
+// ones in folders shared with them. Each file appears once, at its latest
+// access.
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    let limit;
+    if (req.query.limit !== undefined) {
+      limit = /^\d+$/.test(req.query.limit) ? parseInt(req.query.limit) : 0;
+      if (limit < 1) {
+        return res.status(400).json({ error: 'limit must be a positive number' });
+      }
+    }
+
+    const files = await activityService.listRecent(req.user.id, { limit });
+
+    res.json({ files });
+  } catch (error) {
+    console.error('Get recent files error:', error);
+    res.status(500).json({ error: 'Failed to retrieve recent files' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,106 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const fileService = require('../services/fileService');
+const searchService = require('../services/searchService');
+
+const router = express.Router();
+
+const SEARCH_TYPES = ['all', 'file', 'folder'];
+const SEARCH_SCOPES = ['all', 'mine', 'shared'];
+
+// Non-negative integer query parameter; undefined when missing, NaN when
+// malformed
+const parseCount = (value) => {
+  if (value === undefined || value === '') return undefined;
+  return /^\d+$/.test(value) ? parseInt(value) : NaN;
+};
+
+const parseDate = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Search files and folders the user can see. Query parameters:
+// q (name, substring or fuzzy, or words in a file's contents), type (all, file or folder), category (image,
+// video, audio, document, archive or other), minSize and maxSize (bytes),
+// from and to (creation dates), ownerId, scope (all, mine or shared), tagId,
+// limit and offset. Results are ranked by relevance and carry their folder
+// path; files matched by their contents also carry an HTML snippet with the
+// matching words in <mark>.
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { type = 'all', scope = 'all', category } = req.query;
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+
+    if (query.length > 255) {
+      return res.status(400).json({ error: 'q must be at most 255 characters' });
+    }
+
+    if (!SEARCH_TYPES.includes(type)) {
+      return res.status(400).json({ error: 'type must be one of all, file or folder' });
+    }
+
+    if (!SEARCH_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: 'scope must be one of all, mine or shared' });
+    }
+
+    if (category !== undefined && !fileService.getMimeCategoryCondition(category)) {
+      return res.status(400).json({ error: 'category must be one of image, video, audio, document, archive or other' });
+    }
+
+    const minSize = parseCount(req.query.minSize);
+    const maxSize = parseCount(req.query.maxSize);
+    if (Number.isNaN(minSize) || Number.isNaN(maxSize)) {
+      return res.status(400).json({ error: 'minSize and maxSize must be sizes in bytes' });
+    }
+
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    if (from === null || to === null) {
+      return res.status(400).json({ error: 'from and to must be dates' });
+    }
+
+    const ownerId = parseCount(req.query.ownerId);
+    if (Number.isNaN(ownerId)) {
+      return res.status(400).json({ error: 'ownerId must be a user ID' });
+    }
+
+    const tagId = parseCount(req.query.tagId);
+    if (Number.isNaN(tagId)) {
+      return res.status(400).json({ error: 'tagId must be a tag ID' });
+    }
+
+    const limit = parseCount(req.query.limit);
+    const offset = parseCount(req.query.offset);
+    if (Number.isNaN(limit) || limit === 0 || Number.isNaN(offset)) {
+      return res.status(400).json({ error: 'limit must be a positive number and offset a non-negative one' });
+    }
+
+    const results = await searchService.search(req.user.id, {
+      query,
+      type,
+      category,
+      minSize,
+      maxSize,
+      from,
+      to,
+      ownerId,
+      scope,
+      tagId,
+      limit,
+      offset
+    });
+
+    res.json({
+      results,
+      limit: Math.min(limit || searchService.defaultLimit, searchService.maxLimit),
+      offset: offset || 0
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({ error: 'Search failed' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
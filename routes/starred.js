@@ -0,0 +1,20 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const starService = require('../services/starService');
+
+const router = express.Router();
+
+// The user's starred files and folders, most recently starred first. Stars
+// are set with POST /api/files/:fileId/star and /api/folders/:folderId/star.
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { files, folders } = await starService.listStarred(req.user.id);
+
+    res.json({ files, folders });
+  } catch (error) {
+    console.error('Get starred items error:', error);
+    res.status(500).json({ error: 'Failed to retrieve starred items' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
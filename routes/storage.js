@@ -9,7 +9,7 @@ router.get('/stats', authenticateToken, async (req, res) => {
   try {
     // Get user's current storage quota and usage
     const userResult = await pool.query(
-      'SELECT storage_quota, storage_used FROM users WHERE id = $1',
+      'SELECT storage_quota, storage_used, storage_reserved FROM users WHERE id = $1',
       [req.user.id]
     );
 
@@ -17,13 +17,15 @@ router.get('/stats', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    const { storage_quota, storage_used } = userResult.rows[0];
+    const { storage_quota, storage_used, storage_reserved } = userResult.rows[0];
 
-    // Calculate actual storage used by summing file sizes
-    const actualUsageResult = await pool.query(
-      'SELECT COALESCE(SUM(size), 0) as actual_used FROM files WHERE user_id = $1',
-      [req.user.id]
-    );
+    // Calculate actual storage used by summing file and stored version sizes
+    const actualUsageResult = await pool.query(`
+      SELECT
+        (SELECT COALESCE(SUM(size), 0) FROM files WHERE user_id = $1) +
+        (SELECT COALESCE(SUM(v.size), 0) FROM file_versions v JOIN files f ON f.id = v.file_id WHERE f.user_id = $1)
+        as actual_used
+    `, [req.user.id]);
 
     const actualUsed = parseInt(actualUsageResult.rows[0].actual_used);
 
@@ -48,7 +50,9 @@ router.get('/stats', authenticateToken, async (req, res) => {
         COUNT(CASE WHEN mime_type LIKE 'video/%' THEN 1 END) as videos_count,
         COUNT(CASE WHEN mime_type LIKE 'audio/%' THEN 1 END) as audio_count,
         COUNT(CASE WHEN mime_type = 'application/pdf' OR mime_type LIKE '%document%' OR mime_type LIKE '%sheet%' OR mime_type LIKE '%presentation%' THEN 1 END) as documents_count,
-        COUNT(CASE WHEN mime_type LIKE 'application/zip%' OR mime_type LIKE 'application/x-%' THEN 1 END) as archives_count
+        COUNT(CASE WHEN mime_type LIKE 'application/zip%' OR mime_type LIKE 'application/x-%' THEN 1 END) as archives_count,
+        COUNT(CASE WHEN deleted_at IS NOT NULL THEN 1 END) as trashed_count,
+        SUM(CASE WHEN deleted_at IS NOT NULL THEN size ELSE 0 END) as trashed_size
       FROM files 
       WHERE user_id = $1
     `, [req.user.id]);
@@ -86,8 +90,14 @@ router.get('/stats', authenticateToken, async (req, res) => {
       storage: {
         quota: parseInt(storage_quota),
         used: actualUsed,
-        available: parseInt(storage_quota) - actualUsed,
-        percentage: Math.round((actualUsed / parseInt(storage_quota)) * 100)
+        reserved: parseInt(storage_reserved),
+        available: parseInt(storage_quota) - actualUsed - parseInt(storage_reserved),
+        percentage: Math.round((actualUsed / parseInt(storage_quota)) * 100),
+        // Trashed files count toward usage until they are purged
+        trashed: {
+          count: parseInt(fileStats.trashed_count || 0),
+          size: parseInt(fileStats.trashed_size || 0)
+        }
       },
       files: {
         total: parseInt(fileStats.total_files),
@@ -0,0 +1,166 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const tagService = require('../services/tagService');
+
+const router = express.Router();
+
+const isIdList = (value) => Array.isArray(value) && value.every(id => Number.isInteger(Number(id)));
+
+// fileIds and folderIds of a bulk tag request. Null when either isn't a list
+// of IDs or both are empty.
+const parseItemIds = (body) => {
+  const { fileIds = [], folderIds = [] } = body;
+  if (!isIdList(fileIds) || !isIdList(folderIds) || (fileIds.length === 0 && folderIds.length === 0)) {
+    return null;
+  }
+  return { fileIds, folderIds };
+};
+
+// The user's tags
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const tags = await tagService.listTags(req.user.id);
+
+    res.json({ tags });
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({ error: 'Failed to retrieve tags' });
+  }
+});
+
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const name = tagService.parseName(req.body.name);
+    if (!name) {
+      return res.status(400).json({ error: 'Tag name is required and must be at most 50 characters' });
+    }
+
+    const color = req.body.color === undefined ? undefined : tagService.parseColor(req.body.color);
+    if (color === null) {
+      return res.status(400).json({ error: 'color must be a hex color like #1e90ff' });
+    }
+
+    const tag = await tagService.createTag(req.user.id, { name, color });
+
+    res.status(201).json({
+      message: 'Tag created successfully',
+      tag
+    });
+  } catch (error) {
+    if (error.code === 'TAG_CONFLICT') {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Create tag error:', error);
+    res.status(500).json({ error: 'Failed to create tag' });
+  }
+});
+
+// Rename and/or recolor a tag
+router.put('/:tagId', authenticateToken, async (req, res) => {
+  try {
+    const { name: rawName, color: rawColor } = req.body;
+    if (rawName === undefined && rawColor === undefined) {
+      return res.status(400).json({ error: 'name or color is required' });
+    }
+
+    const name = rawName === undefined ? undefined : tagService.parseName(rawName);
+    if (name === null) {
+      return res.status(400).json({ error: 'Tag name must not be empty and at most 50 characters' });
+    }
+
+    const color = rawColor === undefined ? undefined : tagService.parseColor(rawColor);
+    if (color === null) {
+      return res.status(400).json({ error: 'color must be a hex color like #1e90ff' });
+    }
+
+    const tag = await tagService.updateTag(req.user.id, req.params.tagId, { name, color });
+    if (!tag) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    res.json({
+      message: 'Tag updated successfully',
+      tag
+    });
+  } catch (error) {
+    if (error.code === 'TAG_CONFLICT') {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Update tag error:', error);
+    res.status(500).json({ error: 'Failed to update tag' });
+  }
+});
+
+// Delete a tag, removing it from every item
+router.delete('/:tagId', authenticateToken, async (req, res) => {
+  try {
+    const tag = await tagService.deleteTag(req.user.id, req.params.tagId);
+    if (!tag) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    res.json({ message: 'Tag deleted successfully' });
+  } catch (error) {
+    console.error('Delete tag error:', error);
+    res.status(500).json({ error: 'Failed to delete tag' });
+  }
+});
+
+// Files and folders with a tag, among those the user can see
+router.get('/:tagId/items', authenticateToken, async (req, res) => {
+  try {
+    const items = await tagService.listTaggedItems(req.user.id, req.params.tagId);
+    if (!items) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    res.json(items);
+  } catch (error) {
+    console.error('Get tagged items error:', error);
+    res.status(500).json({ error: 'Failed to retrieve tagged items' });
+  }
+});
+
+// Attach (POST) or detach (DELETE) a tag on fileIds and folderIds. Items
+// need owner or edit access; the others are reported without stopping the
+// rest.
+const updateTaggedItems = (action) => async (req, res) => {
+  try {
+    const ids = parseItemIds(req.body);
+    if (!ids) {
+      return res.status(400).json({ error: 'fileIds and/or folderIds must be non-empty arrays of IDs' });
+    }
+
+    const tag = await tagService.getTag(req.user.id, req.params.tagId);
+    if (!tag) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    const items = await tagService.getTaggableItems(req.user.id, ids.fileIds, ids.folderIds);
+    if (action === 'attach') {
+      await tagService.attachTag(tag.id, items);
+    } else {
+      await tagService.detachTag(tag.id, items);
+    }
+
+    res.json({
+      message: `Tag ${action === 'attach' ? 'added to' : 'removed from'} ${items.files.length + items.folders.length} items`,
+      results: {
+        files: items.files,
+        folders: items.folders,
+        unauthorized: items.unauthorized,
+        notFound: items.notFound
+      }
+    });
+  } catch (error) {
+    console.error(`Tag ${action} error:`, error);
+    res.status(500).json({ error: 'Failed to update tagged items' });
+  }
+};
+
+router.post('/:tagId/items', authenticateToken, updateTaggedItems('attach'));
+router.delete('/:tagId/items', authenticateToken, updateTaggedItems('detach'));
+
+module.exports = router;
\ No newline at end of file
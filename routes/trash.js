@@ -0,0 +1,80 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const fileService = require('../services/fileService');
+const trashService = require('../services/trashService');
+
+const router = express.Router();
+
+// Files deleted from the user's storage, including ones other users deleted
+// from folders the user shared with them
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const files = await trashService.listTrash(req.user.id);
+
+    res.json({
+      files,
+      retentionDays: trashService.retentionDays
+    });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({ error: 'Failed to retrieve trash' });
+  }
+});
+
+// Restore a file to the folder it was deleted from, recreating the folder
+// path if needed
+router.post('/:fileId/restore', authenticateToken, async (req, res) => {
+  try {
+    const file = await trashService.getTrashedFile(req.user.id, req.params.fileId);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found in trash' });
+    }
+
+    const restored = await trashService.restoreFile(file);
+    if (!restored) {
+      return res.status(404).json({ error: 'File not found in trash' });
+    }
+
+    res.json({
+      message: 'File restored successfully',
+      file: restored
+    });
+  } catch (error) {
+    console.error('Restore file error:', error);
+    res.status(500).json({ error: 'Failed to restore file' });
+  }
+});
+
+// Permanently delete one file from the trash
+router.delete('/:fileId', authenticateToken, async (req, res) => {
+  try {
+    const file = await trashService.getTrashedFile(req.user.id, req.params.fileId);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found in trash' });
+    }
+
+    await fileService.deleteFileRecord(file);
+
+    res.json({ message: 'File permanently deleted' });
+  } catch (error) {
+    console.error('Delete trashed file error:', error);
+    res.status(500).json({ error: 'Failed to delete file' });
+  }
+});
+
+// Empty the trash
+router.delete('/', authenticateToken, async (req, res) => {
+  try {
+    const deleted = await trashService.emptyTrash(req.user.id);
+
+    res.json({
+      message: `Trash emptied. ${deleted} files permanently deleted.`,
+      deleted
+    });
+  } catch (error) {
+    console.error('Empty trash error:', error);
+    res.status(500).json({ error: 'Failed to empty trash' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
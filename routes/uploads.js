@@ -0,0 +1,304 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const fileService = require('../services/fileService');
+const fileTypeService = require('../services/fileTypeService');
+const uploadSessionService = require('../services/uploadSessionService');
+const storageReservationService = require('../services/storageReservationService');
+
+const router = express.Router();
+
+// Resumable uploads speaking the tus 1.0 protocol (https://tus.io/protocols/resumable-upload)
+const TUS_VERSION = '1.0.0';
+
+// Upload-Metadata is a comma separated list of "key base64(value)" pairs
+const parseUploadMetadata = (header) => {
+  const metadata = {};
+  if (!header) return metadata;
+
+  for (const pair of header.split(',')) {
+    const [key, value] = pair.trim().split(' ');
+    if (!key) continue;
+    metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+  }
+
+  return metadata;
+};
+
+const setUploadHeaders = async (res, session) => {
+  res.setHeader('Upload-Offset', await uploadSessionService.getOffset(session));
+  res.setHeader('Upload-Length', session.upload_length);
+  res.setHeader('Upload-Expires', new Date(session.expires_at).toUTCString());
+  res.setHeader('Cache-Control', 'no-store');
+};
+
+// Some clients tunnel PATCH and DELETE through POST
+router.use((req, res, next) => {
+  const methodOverride = (req.headers['x-http-method-override'] || '').toUpperCase();
+  if (req.method === 'POST' && (methodOverride === 'PATCH' || methodOverride === 'DELETE')) {
+    req.method = methodOverride;
+  }
+  next();
+});
+
+// GET isn't part of the tus protocol, so it works without Tus-Resumable
+router.use((req, res, next) => {
+  res.setHeader('Tus-Resumable', TUS_VERSION);
+
+  if (req.method !== 'GET' && req.headers['tus-resumable'] !== TUS_VERSION) {
+    res.setHeader('Tus-Version', TUS_VERSION);
+    return res.status(412).json({ error: 'Unsupported tus protocol version' });
+  }
+
+  next();
+});
+
+// Create a new upload
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    if (req.headers['upload-defer-length']) {
+      return res.status(400).json({ error: 'Deferred upload length is not supported' });
+    }
+
+    const uploadLength = Number(req.headers['upload-length']);
+    if (!Number.isSafeInteger(uploadLength) || uploadLength < 0) {
+      return res.status(400).json({ error: 'Valid Upload-Length header is required' });
+    }
+
+    if (uploadLength > uploadSessionService.maxUploadSize) {
+      return res.status(413).json({ error: 'Upload exceeds maximum allowed size' });
+    }
+
+    const metadata = parseUploadMetadata(req.headers['upload-metadata']);
+    const originalName = metadata.filename || metadata.name;
+    const folderId = metadata.folder_id || metadata.folderId || null;
+
+    if (!originalName) {
+      return res.status(400).json({ error: 'filename is required in Upload-Metadata' });
+    }
+
+    const mimeType = metadata.filetype || metadata.type || 'application/octet-stream';
+
+    const onConflict = fileService.parseConflictPolicy(metadata.onConflict);
+    if (!onConflict) {
+      return res.status(400).json({ error: 'onConflict must be one of rename, replace, skip, fail or new-version' });
+    }
+
+    // Optional checksums of the whole upload, verified once it completes
+    const expectedChecksums = fileService.parseChecksums({ sha1: metadata.sha1, sha256: metadata.sha256 });
+    if (!expectedChecksums) {
+      return res.status(400).json({ error: 'sha1 and sha256 in Upload-Metadata must be hex digests' });
+    }
+
+    // The content itself is sniffed once its first bytes arrive
+    const blockReason = fileTypeService.getBlockReason({ fileName: originalName, mimeTypes: [mimeType] });
+    if (blockReason) {
+      return res.status(415).json({ error: blockReason });
+    }
+
+    const accessDenial = await fileService.checkUploadAccess(folderId, req.user.id);
+    if (accessDenial) {
+      return res.status(accessDenial.status).json(accessDenial.body);
+    }
+
+    // Refuse up front what the policy would refuse at the end; the conflict
+    // is resolved again once the upload completes
+    try {
+      await fileService.resolveNameConflict({ userId: req.user.id, folderId, name: originalName, onConflict });
+    } catch (error) {
+      if (error.code !== 'NAME_CONFLICT') throw error;
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    // The whole upload is reserved now and held for as long as the session lives
+    const { reservation, denial } = await storageReservationService.reserve(req.user.id, uploadLength, {
+      ttlMinutes: uploadSessionService.sessionTtlHours * 60
+    });
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
+    }
+
+    let session;
+    try {
+      session = await uploadSessionService.createSession({
+        userId: req.user.id,
+        folderId,
+        originalName,
+        mimeType,
+        uploadLength,
+        reservationId: reservation.id,
+        onConflict,
+        expectedChecksums
+      });
+    } catch (error) {
+      await storageReservationService.release(reservation.id);
+      throw error;
+    }
+
+    res.setHeader('Location', `${req.protocol}://${req.get('host')}${req.baseUrl}/${session.id}`);
+    res.setHeader('Upload-Expires', new Date(session.expires_at).toUTCString());
+    res.status(201).end();
+  } catch (error) {
+    console.error('Create upload error:', error);
+    res.status(500).json({ error: 'Failed to create upload' });
+  }
+});
+
+// Current offset of an upload
+router.head('/:uploadId', authenticateToken, async (req, res) => {
+  try {
+    const session = await uploadSessionService.getSession(req.params.uploadId, req.user.id);
+
+    if (!session) {
+      res.setHeader('Cache-Control', 'no-store');
+      return res.status(404).end();
+    }
+
+    await setUploadHeaders(res, session);
+    res.status(200).end();
+  } catch (error) {
+    console.error('Get upload offset error:', error);
+    res.status(500).end();
+  }
+});
+
+// Upload details, including the created file once the upload has finished
+router.get('/:uploadId', authenticateToken, async (req, res) => {
+  try {
+    const session = await uploadSessionService.getSession(req.params.uploadId, req.user.id);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Upload not found or expired' });
+    }
+
+    await setUploadHeaders(res, session);
+    res.json({
+      upload: {
+        id: session.id,
+        originalName: session.original_name,
+        mimeType: session.mime_type,
+        folderId: session.folder_id,
+        offset: await uploadSessionService.getOffset(session),
+        length: parseInt(session.upload_length),
+        completed: !!session.completed_at,
+        fileId: session.file_id,
+        expiresAt: session.expires_at
+      }
+    });
+  } catch (error) {
+    console.error('Get upload error:', error);
+    res.status(500).json({ error: 'Failed to retrieve upload' });
+  }
+});
+
+// Append bytes at the given offset
+router.patch('/:uploadId', authenticateToken, async (req, res) => {
+  const { uploadId } = req.params;
+
+  if (req.headers['content-type'] !== 'application/offset+octet-stream') {
+    return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream' });
+  }
+
+  const uploadOffset = Number(req.headers['upload-offset']);
+  if (!req.headers['upload-offset'] || !Number.isSafeInteger(uploadOffset) || uploadOffset < 0) {
+    return res.status(400).json({ error: 'Valid Upload-Offset header is required' });
+  }
+
+  let lock = null;
+
+  try {
+    const session = await uploadSessionService.getSession(uploadId, req.user.id);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Upload not found or expired' });
+    }
+
+    lock = await uploadSessionService.lockSession(session);
+    if (!lock) {
+      return res.status(423).json({ error: 'Upload is already in progress' });
+    }
+
+    const currentOffset = await uploadSessionService.getOffset(lock.session);
+    if (uploadOffset !== currentOffset) {
+      res.setHeader('Upload-Offset', currentOffset);
+      return res.status(409).json({ error: 'Upload-Offset does not match current offset' });
+    }
+
+    if (lock.session.completed_at) {
+      res.setHeader('Upload-Offset', currentOffset);
+      return res.status(204).end();
+    }
+
+    let offset;
+    try {
+      ({ offset } = await uploadSessionService.writeChunks(lock.session, req));
+    } catch (error) {
+      if (!['BLOCKED_FILE_TYPE', 'NAME_CONFLICT', 'CHECKSUM_MISMATCH', 'QUOTA_EXCEEDED'].includes(error.code)) throw error;
+
+      await uploadSessionService.terminateSession(lock.session);
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    res.setHeader('Upload-Offset', offset);
+    res.setHeader('Upload-Expires', new Date(Date.now() + uploadSessionService.sessionTtlHours * 3600 * 1000).toUTCString());
+    res.status(204).end();
+  } catch (error) {
+    // A dropped connection keeps what was received; the client resumes from HEAD
+    console.error('Upload chunk error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to store upload chunk' });
+    }
+  } finally {
+    if (lock) {
+      await lock.release().catch((error) => {
+        console.error(`Failed to release lock on upload ${uploadId}:`, error);
+      });
+    }
+  }
+});
+
+// Cancel an upload and discard its data
+router.delete('/:uploadId', authenticateToken, async (req, res) => {
+  const { uploadId } = req.params;
+  let lock = null;
+
+  try {
+    const session = await uploadSessionService.getSession(uploadId, req.user.id);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Upload not found or expired' });
+    }
+
+    lock = await uploadSessionService.lockSession(session);
+    if (!lock) {
+      return res.status(423).json({ error: 'Upload is already in progress' });
+    }
+
+    await uploadSessionService.terminateSession(lock.session);
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Terminate upload error:', error);
+    res.status(500).json({ error: 'Failed to terminate upload' });
+  } finally {
+    if (lock) {
+      await lock.release().catch((error) => {
+        console.error(`Failed to release lock on upload ${uploadId}:`, error);
+      });
+    }
+  }
+});
+
+// Server capabilities for tus OPTIONS requests. These are answered by the
+// CORS middleware, so app.js mounts this ahead of it.
+const setDiscoveryHeaders = (req, res, next) => {
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Tus-Resumable', TUS_VERSION);
+    res.setHeader('Tus-Version', TUS_VERSION);
+    res.setHeader('Tus-Extension', 'creation,expiration,termination');
+    res.setHeader('Tus-Max-Size', uploadSessionService.maxUploadSize);
+  }
+  next();
+};
+
+module.exports = router;
+module.exports.setDiscoveryHeaders = setDiscoveryHeaders;
\ No newline at end of file
@@ -0,0 +1,86 @@
+const { pool } = require('../config/database');
+const folderService = require('./folderService');
+const starService = require('./starService');
+
+// Records when users upload, view, download and rename files, and builds
+// each user's recent files feed from it. Events are kept for retentionDays.
+class ActivityService {
+  constructor() {
+    this.retentionDays = parseInt(process.env.ACTIVITY_RETENTION_DAYS) || 90;
+    this.defaultLimit = 50;
+    this.maxLimit = 200;
+  }
+
+  // Records that userId performed action (upload, view, download or rename)
+  // on fileId. The same action on the same file within a minute is recorded
+  // once, so reloads and players fetching a file piece by piece don't flood
+  // the log. Failures are logged and never fail the request that caused the
+  // event.
+  async recordAccess(userId, fileId, action) {
+    try {
+      await pool.query(`
+        INSERT INTO file_access_events (user_id, file_id, action)
+        SELECT $1, $2, $3
+        WHERE NOT EXISTS (
+          SELECT 1 FROM file_access_events
+          WHERE user_id = $1 AND file_id = $2 AND action = $3 AND created_at > NOW() - INTERVAL '1 minute'
+        )
+      `, [userId, fileId, action]);
+    } catch (error) {
+      console.error(`Failed to record ${action} of file ${fileId}:`, error);
+    }
+  }
+
+  // Files the user recently uploaded, viewed, downloaded or renamed, once
+  // each, most recent first. Files in folders shared with the user are
+  // included for as long as they can still see them. Each file carries its
+  // last action and when it happened, and its folder path.
+  async listRecent(userId, { limit } = {}) {
+    const pageLimit = Math.min(limit || this.defaultLimit, this.maxLimit);
+
+    const result = await pool.query(`
+      SELECT f.*,
+             CASE WHEN f.user_id = $1 THEN 'owner' ELSE p.permission_type END as access_level,
+             ${starService.getStarredColumn('file', 'f.id')} as starred,
+             r.action as last_action,
+             r.created_at as last_accessed_at
+      FROM (
+        SELECT DISTINCT ON (e.file_id) e.file_id, e.action, e.created_at
+        FROM file_access_events e
+        WHERE e.user_id = $1
+        ORDER BY e.file_id, e.created_at DESC, e.id DESC
+      ) r
+      JOIN files f ON f.id = r.file_id
+      LEFT JOIN permissions p ON f.folder_id = p.folder_id AND p.shared_with_user_id = $1
+      WHERE (f.user_id = $1 OR p.shared_with_user_id = $1) AND f.deleted_at IS NULL
+      ORDER BY r.created_at DESC, f.id DESC
+      LIMIT $2
+    `, [userId, pageLimit]);
+
+    const folderIds = [...new Set(result.rows.map(row => row.folder_id).filter(id => id !== null))];
+    const folderPaths = await folderService.getFolderPaths(userId, folderIds);
+
+    return result.rows.map(row => ({
+      ...row,
+      folder_path: row.folder_id === null ? [] : folderPaths.get(row.folder_id) || []
+    }));
+  }
+
+  // Drops events older than retentionDays
+  async pruneEvents() {
+    try {
+      const result = await pool.query(
+        `DELETE FROM file_access_events WHERE created_at < NOW() - $1::int * INTERVAL '1 day'`,
+        [this.retentionDays]
+      );
+
+      if (result.rowCount > 0) {
+        console.log(`🧹 Pruned ${result.rowCount} file access events`);
+      }
+    } catch (error) {
+      console.error('Failed to prune file access events:', error);
+    }
+  }
+}
+
+module.exports = new ActivityService();
\ No newline at end of file
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+const { finished } = require('stream/promises');
+const yauzl = require('yauzl');
+const tar = require('tar-stream');
+const folderService = require('./folderService');
+
+const createArchiveError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = 'ARCHIVE_REJECTED';
+  return error;
+};
+
+// Waits until an entry's data has been read, discarding whatever is left
+const drain = async (stream) => {
+  try {
+    await finished(stream.resume());
+  } catch (error) {
+    // The entry's own reader reports stream errors
+  }
+};
+
+// Reads ZIP and TAR (optionally gzipped) archives from local disk for
+// extraction into folders. Archives are scanned before anything is stored so
+// zip bombs and unsafe paths are refused up front.
+class ArchiveService {
+  constructor() {
+    this.maxEntries = parseInt(process.env.ARCHIVE_MAX_ENTRIES) || 10000;
+    this.maxTotalSize = parseInt(process.env.ARCHIVE_MAX_TOTAL_SIZE) || 10 * 1024 * 1024 * 1024; // 10GB uncompressed
+  }
+
+  // Archive format from the sniffed content type, or null when the file
+  // can't be extracted
+  getArchiveType(fileName, mimeType) {
+    const lowerName = fileName.toLowerCase();
+
+    if (mimeType === 'application/zip') return 'zip';
+    if (mimeType === 'application/x-tar') return 'tar';
+    if (mimeType === 'application/gzip' && (lowerName.endsWith('.tar.gz') || lowerName.endsWith('.tgz'))) return 'tar.gz';
+    return null;
+  }
+
+  // Yields { name, size, type, encrypted, open } for each entry in archive
+  // order. type is 'file', 'directory' or 'other' (links, devices, ...).
+  // open() resolves to the entry's data stream; data that isn't read is
+  // skipped before the next entry.
+  async *readEntries(archivePath, archiveType) {
+    if (archiveType === 'zip') {
+      yield* this.readZipEntries(archivePath);
+    } else {
+      yield* this.readTarEntries(archivePath, archiveType === 'tar.gz');
+    }
+  }
+
+  async *readZipEntries(archivePath) {
+    // Sizes are validated while reading, so an entry can't inflate past what
+    // the scan counted
+    const zipfile = await yauzl.openPromise(archivePath, { validateEntrySizes: true, strictFileNames: false });
+
+    try {
+      for await (const entry of zipfile.eachEntry()) {
+        let stream = null;
+
+        yield {
+          name: entry.fileName,
+          size: entry.uncompressedSize,
+          type: entry.fileName.endsWith('/') ? 'directory' : 'file',
+          encrypted: entry.isEncrypted() || !entry.canDecodeFileData(),
+          open: async () => {
+            stream = await zipfile.openReadStreamPromise(entry);
+            return stream;
+          }
+        };
+
+        if (stream) await drain(stream);
+      }
+    } finally {
+      if (zipfile.isOpen) zipfile.close();
+    }
+  }
+
+  async *readTarEntries(archivePath, gzipped) {
+    const extract = tar.extract();
+    const source = fs.createReadStream(archivePath);
+
+    // Read errors surface through the extract stream's iterator
+    pipeline(...(gzipped ? [source, zlib.createGunzip(), extract] : [source, extract]), () => {});
+
+    for await (const entry of extract) {
+      const { name, size, type } = entry.header;
+
+      yield {
+        name,
+        size: size || 0,
+        type: type === 'file' || type === 'contiguous-file' ? 'file' : type === 'directory' ? 'directory' : 'other',
+        encrypted: false,
+        open: async () => entry
+      };
+
+      await drain(entry);
+    }
+  }
+
+  // Lists the files and directories to extract and enforces the entry count,
+  // total uncompressed size and path limits. Throws an error with a status
+  // when the archive is refused.
+  async scan(archivePath, archiveType) {
+    const entries = [];
+    let totalSize = 0;
+
+    try {
+      for await (const entry of this.readEntries(archivePath, archiveType)) {
+        if (entry.type === 'other') continue;
+
+        const parsed = folderService.parseRelativePath(entry.name);
+        if (!parsed) {
+          throw createArchiveError(`Archive entry "${entry.name}" has an unsafe path`);
+        }
+
+        if (entries.length >= this.maxEntries) {
+          throw createArchiveError(`Archive has more than ${this.maxEntries} entries`, 413);
+        }
+
+        totalSize += entry.size;
+        if (totalSize > this.maxTotalSize) {
+          throw createArchiveError('Archive is too large when uncompressed', 413);
+        }
+
+        entries.push({ name: entry.name, size: entry.size, directory: entry.type === 'directory' });
+      }
+    } catch (error) {
+      if (error.code === 'ARCHIVE_REJECTED') throw error;
+      throw createArchiveError(`Archive could not be read: ${error.message}`);
+    }
+
+    return {
+      entries,
+      totalSize,
+      fileCount: entries.filter(entry => !entry.directory).length
+    };
+  }
+}
+
+module.exports = new ArchiveService();
\ No newline at end of file
@@ -0,0 +1,270 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { finished } = require('stream/promises');
+const backblazeService = require('../config/backblaze');
+const fileTypeService = require('./fileTypeService');
+
+// Multer storage engine that streams each file straight to Backblaze instead
+// of buffering it in memory. SHA-256 and SHA-1 are computed on the way
+// through, the content type is sniffed from the first bytes before anything
+// is stored, and images are spooled to a temp file (up to a limit) so
+// thumbnails can be generated afterwards.
+class B2Storage {
+  constructor() {
+    this.thumbnailSourceLimit = 50 * 1024 * 1024; // Larger images get no thumbnail
+    this.spoolDir = path.join(os.tmpdir(), 'bytecloud-spool');
+
+    // Engine for batches processed after the response: each file is only
+    // spooled to disk, and uploadSpooledFile sends it to Backblaze later
+    this.spooled = {
+      _handleFile: (req, file, cb) => {
+        this.storeFile(file, { deferUpload: true })
+          .then(info => cb(null, info))
+          .catch(cb);
+      },
+      _removeFile: (req, file, cb) => this._removeFile(req, file, cb)
+    };
+  }
+
+  _handleFile(req, file, cb) {
+    this.storeFile(file)
+      .then(info => cb(null, info))
+      .catch(cb);
+  }
+
+  _removeFile(req, file, cb) {
+    this.discardFiles([file])
+      .then(() => cb(null))
+      .catch(cb);
+  }
+
+  // Blocked files are drained without being stored and come back with a
+  // rejectionReason for the route to report. With deferUpload the whole file
+  // goes to a temp file instead of Backblaze.
+  async storeFile(file, { deferUpload = false } = {}) {
+    const declaredReason = fileTypeService.getBlockReason({
+      fileName: file.originalname,
+      mimeTypes: [file.mimetype]
+    });
+    if (declaredReason) {
+      await this.drain(file.stream);
+      return { rejectionReason: declaredReason };
+    }
+
+    const fileExtension = path.extname(file.originalname);
+    const uniqueFileName = `${crypto.randomUUID()}${fileExtension}`;
+    const sha256 = crypto.createHash('sha256');
+    const sha1 = crypto.createHash('sha1');
+    const mightBeImage = file.mimetype.startsWith('image/') ||
+      (fileTypeService.getExtensionType(file.originalname) || '').startsWith('image/');
+    let spool = deferUpload || mightBeImage ? await this.openSpool() : null;
+    let size = 0;
+    let detection = null;
+    const headerChunks = [];
+    let headerLength = 0;
+
+    // Decides on the content type once the leading bytes are in. Runs before
+    // the first part can reach Backblaze, so blocked content is never stored.
+    const sniff = () => {
+      const header = Buffer.concat(headerChunks);
+      detection = fileTypeService.detect(header, file.originalname);
+
+      const reason = fileTypeService.getBlockReason({
+        fileName: file.originalname,
+        mimeTypes: [detection.mimeType]
+      });
+      if (reason) {
+        const error = new Error(reason);
+        error.code = 'BLOCKED_FILE_TYPE';
+        throw error;
+      }
+
+      if (spool && !deferUpload && !detection.mimeType.startsWith('image/')) {
+        this.closeSpool(spool);
+        spool = null;
+      }
+
+      return header;
+    };
+
+    const forward = (chunk, done) => {
+      if (chunk.length === 0) return done();
+      if (!spool || spool.discarded) return done(null, chunk);
+
+      if (!deferUpload && size > this.thumbnailSourceLimit) {
+        this.closeSpool(spool);
+        return done(null, chunk);
+      }
+
+      // Respect the spool's backpressure so memory use stays bounded
+      if (spool.stream.write(chunk)) return done(null, chunk);
+
+      const resume = () => {
+        spool.stream.removeListener('drain', resume);
+        spool.stream.removeListener('close', resume);
+        done(null, chunk);
+      };
+      spool.stream.once('drain', resume);
+      spool.stream.once('close', resume);
+    };
+
+    const hashing = new Transform({
+      transform: (chunk, encoding, done) => {
+        sha256.update(chunk);
+        sha1.update(chunk);
+        size += chunk.length;
+
+        if (detection) return forward(chunk, done);
+
+        headerChunks.push(chunk);
+        headerLength += chunk.length;
+        if (headerLength < fileTypeService.sniffLength) return done();
+
+        try {
+          forward(sniff(), done);
+        } catch (error) {
+          done(error);
+        }
+      },
+      flush: (done) => {
+        if (detection) return done();
+
+        try {
+          forward(sniff(), done);
+        } catch (error) {
+          done(error);
+        }
+      }
+    });
+
+    // Plain pipe rather than pipeline: a rejected file's stream must stay
+    // alive so it can be drained, or busboy stalls the rest of the request
+    file.stream.on('error', error => hashing.destroy(error));
+    file.stream.pipe(hashing);
+
+    try {
+      if (deferUpload) {
+        await finished(hashing.resume());
+
+        const spoolPath = await this.finishSpool(spool);
+        if (!spoolPath) throw new Error('Failed to spool upload to disk');
+
+        return {
+          filename: uniqueFileName,
+          size,
+          sha256: sha256.digest('hex'),
+          sha1: sha1.digest('hex'),
+          detectedMimeType: detection.mimeType,
+          typeMismatch: detection.mismatch,
+          path: spoolPath,
+          uploadResult: null,
+          thumbnailSource: detection.mimeType.startsWith('image/') && size <= this.thumbnailSourceLimit ? spoolPath : null
+        };
+      }
+
+      // The hashing stream only passes data on once the type has been sniffed
+      const uploadResult = await backblazeService.uploadStream(hashing, uniqueFileName, () => detection.mimeType);
+      const thumbnailSource = spool ? await this.finishSpool(spool) : null;
+
+      return {
+        filename: uniqueFileName,
+        size,
+        sha256: sha256.digest('hex'),
+        sha1: sha1.digest('hex'),
+        detectedMimeType: detection.mimeType,
+        typeMismatch: detection.mismatch,
+        uploadResult,
+        thumbnailSource
+      };
+    } catch (error) {
+      if (spool) this.closeSpool(spool);
+
+      if (error.code === 'BLOCKED_FILE_TYPE') {
+        await this.drain(file.stream);
+        return { rejectionReason: error.message };
+      }
+      throw error;
+    }
+  }
+
+  // Consumes the rest of a file that won't be stored so multer can move on
+  drain(stream) {
+    if (stream.readableEnded || stream.destroyed) return Promise.resolve();
+
+    return new Promise((resolve) => {
+      stream.once('end', resolve);
+      stream.once('close', resolve);
+      stream.once('error', resolve);
+      stream.resume();
+    });
+  }
+
+  async openSpool() {
+    await fs.promises.mkdir(this.spoolDir, { recursive: true });
+
+    const spoolPath = path.join(this.spoolDir, crypto.randomUUID());
+    const spool = { path: spoolPath, stream: fs.createWriteStream(spoolPath), discarded: false };
+
+    // A failed spool only costs the thumbnail, never the upload
+    spool.stream.on('error', (error) => {
+      console.error('Thumbnail spool error:', error);
+      this.closeSpool(spool);
+    });
+
+    return spool;
+  }
+
+  // Resolves to the spool path, or null if it was discarded for being too large
+  finishSpool(spool) {
+    if (spool.discarded) return Promise.resolve(null);
+
+    return new Promise((resolve) => {
+      spool.stream.once('close', () => resolve(spool.discarded ? null : spool.path));
+      spool.stream.end();
+    });
+  }
+
+  closeSpool(spool) {
+    spool.discarded = true;
+    spool.stream.destroy();
+    fs.promises.rm(spool.path, { force: true }).catch(() => {});
+  }
+
+  // Sends a file received by the spooled engine on to Backblaze
+  async uploadSpooledFile(file) {
+    file.uploadResult = await backblazeService.uploadStream(
+      fs.createReadStream(file.path),
+      file.filename,
+      file.detectedMimeType
+    );
+    return file.uploadResult;
+  }
+
+  // Removes the temp spool once the file has been stored and thumbnailed
+  async releaseFile(file) {
+    for (const spoolPath of [file.thumbnailSource, file.path]) {
+      if (spoolPath) {
+        await fs.promises.rm(spoolPath, { force: true });
+      }
+    }
+  }
+
+  // Deletes stored objects for files that were received but not kept
+  async discardFiles(files) {
+    for (const file of files) {
+      try {
+        if (file.uploadResult) {
+          await backblazeService.deleteFile(file.uploadResult.fileId, file.filename);
+        }
+        await this.releaseFile(file);
+      } catch (error) {
+        console.error('Failed to discard uploaded file:', file.originalname, error);
+      }
+    }
+  }
+}
+
+module.exports = new B2Storage();
\ No newline at end of file
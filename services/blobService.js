@@ -0,0 +1,71 @@
+const { pool } = require('../config/database');
+const backblazeService = require('../config/backblaze');
+
+// Stored objects are content-addressed by SHA-256 and reference counted, so
+// identical uploads share a single Backblaze object.
+class BlobService {
+  // Registers a reference to the content of a freshly uploaded object. When
+  // the same content is already stored, the new copy is deleted and the
+  // existing blob is returned instead.
+  async acquireBlob({ sha256, size, uploadResult, fileName }) {
+    const result = await pool.query(`
+      INSERT INTO blobs (sha256, size, backblaze_file_id, backblaze_file_name, ref_count)
+      VALUES ($1, $2, $3, $4, 1)
+      ON CONFLICT (sha256) DO UPDATE SET ref_count = blobs.ref_count + 1
+      RETURNING *
+    `, [sha256, size, uploadResult.fileId, fileName]);
+
+    const blob = result.rows[0];
+
+    if (blob.backblaze_file_id !== uploadResult.fileId) {
+      try {
+        await backblazeService.deleteFile(uploadResult.fileId, fileName);
+      } catch (b2Error) {
+        console.error(`Failed to delete duplicate upload ${fileName}:`, b2Error);
+      }
+    }
+
+    return blob;
+  }
+
+  // Adds a reference to an already stored blob, for copies of a file
+  async addReference(blobId) {
+    const result = await pool.query(
+      'UPDATE blobs SET ref_count = ref_count + 1 WHERE id = $1 RETURNING *',
+      [blobId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Drops one reference and deletes the Backblaze object with the last one
+  async releaseBlob(blobId) {
+    await pool.query(
+      'UPDATE blobs SET ref_count = ref_count - 1 WHERE id = $1',
+      [blobId]
+    );
+
+    // Only delete if nothing re-acquired the blob in the meantime
+    const deleteResult = await pool.query(
+      'DELETE FROM blobs WHERE id = $1 AND ref_count <= 0 RETURNING *',
+      [blobId]
+    );
+
+    if (deleteResult.rows.length > 0) {
+      const blob = deleteResult.rows[0];
+      await backblazeService.deleteFile(blob.backblaze_file_id, blob.backblaze_file_name);
+    }
+  }
+
+  // Releases the stored content of a file row that has been removed. Files
+  // uploaded before deduplication own their object outright.
+  async releaseFileContent(file) {
+    if (file.blob_id) {
+      return this.releaseBlob(file.blob_id);
+    }
+
+    await backblazeService.deleteFile(file.backblaze_file_id, file.name);
+  }
+}
+
+module.exports = new BlobService();
\ No newline at end of file
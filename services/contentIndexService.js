@@ -0,0 +1,216 @@
+const { pool } = require('../config/database');
+const backblazeService = require('../config/backblaze');
+const textExtractionService = require('./textExtractionService');
+
+// Markers ts_headline puts around matches. Extracted text has its control
+// characters stripped, so they can't occur in it.
+const HIGHLIGHT_START = '\u0001';
+const HIGHLIGHT_END = '\u0002';
+
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Full-text index of file contents. Files wait with a NULL
+// content_index_status until a background worker, running one file at a
+// time, downloads them, extracts their text (see textExtractionService) and
+// stores it with its tsvector in file_contents. The status then records the
+// outcome: indexed, unsupported, too_large or failed. Files from before
+// indexing existed start out waiting too, so they are backfilled the same way.
+class ContentIndexService {
+  constructor() {
+    this.textSearchConfig = 'english';
+    this.maxFileSize = parseInt(process.env.CONTENT_INDEX_MAX_FILE_SIZE) || 25 * 1024 * 1024; // Larger files aren't indexed
+    this.running = null;
+    this.rerun = false;
+  }
+
+  // Resets files left processing by a previous run of the server, then
+  // starts indexing whatever is waiting
+  async start() {
+    try {
+      await pool.query("UPDATE files SET content_index_status = NULL WHERE content_index_status = 'processing'");
+    } catch (error) {
+      console.error('Failed to reset interrupted content indexing:', error);
+    }
+
+    this.schedule();
+  }
+
+  // Starts the worker unless it is already running, in which case it goes
+  // over the waiting files once more when it's done
+  schedule() {
+    if (this.running) {
+      this.rerun = true;
+      return;
+    }
+
+    this.running = this.processWaiting().finally(() => {
+      this.running = null;
+      if (this.rerun) {
+        this.rerun = false;
+        this.schedule();
+      }
+    });
+  }
+
+  // Indexes fileId again once its content has been replaced. The statement
+  // replacing it must also reset its content_index_status and delete its
+  // file_contents row, so the old text never outlives the old content.
+  reindexFile(fileId) {
+    this.schedule();
+  }
+
+  async processWaiting() {
+    let indexed = 0;
+
+    try {
+      // Files that won't be downloaded are settled in bulk
+      await pool.query(`
+        UPDATE files f SET content_index_status = CASE
+          WHEN NOT ${textExtractionService.getSupportedCondition()} THEN 'unsupported'
+          ELSE 'too_large'
+        END, content_indexed_at = CURRENT_TIMESTAMP
+        WHERE f.content_index_status IS NULL
+          AND (NOT ${textExtractionService.getSupportedCondition()} OR f.size > $1)
+      `, [this.maxFileSize]);
+
+      let file;
+      while ((file = await this.claimNext())) {
+        if (await this.indexFile(file)) indexed++;
+      }
+    } catch (error) {
+      console.error('Content indexing error:', error);
+    }
+
+    if (indexed > 0) {
+      console.log(`🔎 Indexed the contents of ${indexed} files`);
+    }
+  }
+
+  // Marks the newest waiting file as processing and resolves to it, or to
+  // null when none are left
+  async claimNext() {
+    const result = await pool.query(`
+      UPDATE files SET content_index_status = 'processing'
+      WHERE id = (
+        SELECT id FROM files
+        WHERE content_index_status IS NULL
+        ORDER BY id DESC
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `);
+
+    return result.rows[0] || null;
+  }
+
+  // Indexes one claimed file. Resolves to whether its text was stored; a
+  // file whose content changed in the meantime is left for the next pass.
+  async indexFile(file) {
+    try {
+      if (await this.copyFromSameBlob(file)) return true;
+
+      if (!textExtractionService.canExtract(file.mime_type) || parseInt(file.size) > this.maxFileSize) {
+        await this.setStatus(file, textExtractionService.canExtract(file.mime_type) ? 'too_large' : 'unsupported');
+        return false;
+      }
+
+      const buffer = await backblazeService.downloadFile(file.name);
+      const text = await textExtractionService.extractText(buffer, file.mime_type);
+
+      // Only stored while the file still holds the content that was read
+      const result = await pool.query(`
+        WITH target AS (
+          UPDATE files SET content_index_status = 'indexed', content_indexed_at = CURRENT_TIMESTAMP
+          WHERE id = $1 AND name = $2 AND content_index_status = 'processing'
+          RETURNING id
+        )
+        INSERT INTO file_contents (file_id, content_text, content_tsv)
+        SELECT id, $3::text, to_tsvector('${this.textSearchConfig}', $3::text) FROM target
+        ON CONFLICT (file_id) DO UPDATE SET
+          content_text = EXCLUDED.content_text, content_tsv = EXCLUDED.content_tsv, indexed_at = CURRENT_TIMESTAMP
+      `, [file.id, file.name, text]);
+
+      return result.rowCount > 0;
+    } catch (error) {
+      console.error(`Failed to index the contents of file ${file.id}:`, error);
+      await this.setStatus(file, 'failed').catch(() => {});
+      return false;
+    }
+  }
+
+  // Deduplicated content has already been indexed for another file when
+  // they share a blob. Resolves to whether its text was copied.
+  async copyFromSameBlob(file) {
+    if (!file.blob_id) return false;
+
+    const result = await pool.query(`
+      WITH source AS (
+        SELECT fc.content_text, fc.content_tsv
+        FROM file_contents fc
+        JOIN files s ON s.id = fc.file_id
+        WHERE s.blob_id = $2 AND s.id <> $1
+        LIMIT 1
+      ), target AS (
+        UPDATE files SET content_index_status = 'indexed', content_indexed_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND blob_id = $2 AND content_index_status = 'processing' AND EXISTS (SELECT 1 FROM source)
+        RETURNING id
+      )
+      INSERT INTO file_contents (file_id, content_text, content_tsv)
+      SELECT target.id, source.content_text, source.content_tsv FROM target, source
+      ON CONFLICT (file_id) DO UPDATE SET
+        content_text = EXCLUDED.content_text, content_tsv = EXCLUDED.content_tsv, indexed_at = CURRENT_TIMESTAMP
+    `, [file.id, file.blob_id]);
+
+    return result.rowCount > 0;
+  }
+
+  async setStatus(file, status) {
+    await pool.query(`
+      UPDATE files SET content_index_status = $2, content_indexed_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND name = $3 AND content_index_status = 'processing'
+    `, [file.id, status, file.name]);
+  }
+
+  // SQL matching the file contents joined as fc against the search text in
+  // queryParam, and ranking how well they match
+  getSearchExpressions(queryParam) {
+    const tsQuery = `websearch_to_tsquery('${this.textSearchConfig}', ${queryParam})`;
+
+    return {
+      condition: `COALESCE(fc.content_tsv @@ ${tsQuery}, FALSE)`,
+      rank: `COALESCE(ts_rank(fc.content_tsv, ${tsQuery}), 0)`
+    };
+  }
+
+  // Excerpts of the contents of fileIds around their matches for query, as
+  // HTML-escaped text with the matches wrapped in <mark>. Resolves to a Map
+  // from file id to excerpt.
+  async getSnippets(fileIds, query) {
+    const snippets = new Map();
+    if (fileIds.length === 0) return snippets;
+
+    const options = `StartSel="${HIGHLIGHT_START}", StopSel="${HIGHLIGHT_END}", MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "`;
+    const result = await pool.query(`
+      SELECT file_id,
+             ts_headline('${this.textSearchConfig}', content_text, websearch_to_tsquery('${this.textSearchConfig}', $2), $3) AS snippet
+      FROM file_contents
+      WHERE file_id = ANY($1::int[])
+    `, [fileIds, query, options]);
+
+    for (const row of result.rows) {
+      snippets.set(row.file_id, escapeHtml(row.snippet)
+        .split(HIGHLIGHT_START).join('<mark>')
+        .split(HIGHLIGHT_END).join('</mark>'));
+    }
+
+    return snippets;
+  }
+}
+
+module.exports = new ContentIndexService();
\ No newline at end of file
@@ -0,0 +1,184 @@
+const path = require('path');
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const backblazeService = require('../config/backblaze');
+const blobService = require('./blobService');
+const fileService = require('./fileService');
+const folderService = require('./folderService');
+const jobService = require('./jobService');
+const storageReservationService = require('./storageReservationService');
+const contentIndexService = require('./contentIndexService');
+
+// Copies files and folder trees without moving any bytes through this
+// server: deduplicated content gets another blob reference, and objects a
+// file owns outright (older uploads, thumbnails) are copied inside Backblaze.
+// Copies belong to, and are charged to, the user making them.
+class CopyService {
+  // Stores a copy of file (a files row) as originalName in folderId and
+  // charges its size out of reservationId. renameOnConflict is passed on to
+  // fileService.saveWithName. Resolves to the new row.
+  async copyFile(file, { userId, folderId, originalName, renameOnConflict, reservationId }) {
+    let blob = null;
+    let content = null;
+    let thumbnail = null;
+    let record = null;
+
+    try {
+      if (file.blob_id) {
+        blob = await blobService.addReference(file.blob_id);
+      }
+      if (!blob) {
+        content = await backblazeService.copyFile(file.backblaze_file_id, `${crypto.randomUUID()}${path.extname(file.name)}`);
+      }
+
+      if (file.has_thumbnail && file.thumbnail_backblaze_file_id) {
+        thumbnail = await backblazeService.copyFile(
+          file.thumbnail_backblaze_file_id,
+          `thumb_${crypto.randomUUID()}${path.extname(file.thumbnail_path)}`
+        );
+      }
+
+      const objectName = blob ? blob.backblaze_file_name : content.fileName;
+      const result = await fileService.saveWithName({ userId, folderId, name: originalName, renameOnConflict }, (fileName) => pool.query(`
+        INSERT INTO files (user_id, folder_id, name, original_name, mime_type, size, backblaze_file_id, backblaze_url, thumbnail_path, thumbnail_backblaze_file_id, has_thumbnail, blob_id, content_sha256, content_sha1, declared_mime_type, type_mismatch)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+        RETURNING *
+      `, [
+        userId,
+        folderId || null,
+        objectName,
+        fileName,
+        file.mime_type,
+        file.size,
+        blob ? blob.backblaze_file_id : content.fileId,
+        backblazeService.buildDownloadUrl(objectName),
+        thumbnail ? thumbnail.fileName : null,
+        thumbnail ? thumbnail.fileId : null,
+        !!thumbnail,
+        blob ? blob.id : null,
+        file.content_sha256,
+        file.content_sha1,
+        file.declared_mime_type,
+        file.type_mismatch
+      ]));
+
+      record = result.rows[0];
+
+      await storageReservationService.commit(reservationId, userId, parseInt(file.size));
+      contentIndexService.schedule();
+
+      return record;
+    } catch (error) {
+      if (record) {
+        await pool.query('DELETE FROM files WHERE id = $1', [record.id]).catch(() => {});
+      }
+      if (blob) {
+        await blobService.releaseBlob(blob.id).catch(() => {});
+      }
+      if (content) {
+        await backblazeService.deleteFile(content.fileId, content.fileName).catch(() => {});
+      }
+      if (thumbnail) {
+        await backblazeService.deleteFile(thumbnail.fileId, thumbnail.fileName).catch(() => {});
+      }
+      throw error;
+    }
+  }
+
+  // Lists the tree below folder (a folders row the user may read) as
+  // { folders, files }, each with the folder names leading to it from folder.
+  // Subfolders the user can't read are left out.
+  async listTree(userId, folder) {
+    const folders = [];
+    const files = [];
+    const queue = [{ folder, folderNames: [] }];
+
+    while (queue.length > 0) {
+      const { folder: current, folderNames } = queue.shift();
+
+      const folderFiles = await pool.query(
+        'SELECT * FROM files WHERE folder_id = $1 ORDER BY original_name',
+        [current.id]
+      );
+      for (const file of folderFiles.rows) {
+        files.push({ file, folderNames });
+      }
+
+      const subfolders = await folderService.getReadableFolders(userId, 'f.parent_folder_id = $2', [current.id]);
+      for (const subfolder of subfolders) {
+        const subfolderNames = [...folderNames, subfolder.name];
+        folders.push({ id: subfolder.id, folderNames: subfolderNames });
+        queue.push({ folder: subfolder, folderNames: subfolderNames });
+      }
+    }
+
+    return { folders, files };
+  }
+
+  // Creates the job for copying the files listed by listTree
+  async createFolderCopyJob(userId, tree) {
+    return jobService.createJob({
+      userId,
+      type: 'copy',
+      items: tree.files.map(({ file, folderNames }) => ({
+        relativePath: [...folderNames, file.original_name].join('/'),
+        size: parseInt(file.size)
+      }))
+    });
+  }
+
+  // Recreates tree below the already created targetFolderId, one file at a
+  // time. Never rejects; per-file failures are recorded on the job, and the
+  // reservation is released at the end.
+  async copyTree(job, tree, { userId, targetFolderId, reservationId }) {
+    const resolvedFolders = new Map();
+
+    try {
+      for (const folder of tree.folders) {
+        await folderService.ensureFolderPath(userId, targetFolderId, folder.folderNames, resolvedFolders);
+      }
+
+      for (const [index, { file, folderNames }] of tree.files.entries()) {
+        try {
+          await jobService.updateItem(job, index, { state: 'copying' });
+
+          const folderId = await folderService.ensureFolderPath(userId, targetFolderId, folderNames, resolvedFolders);
+          const copy = await this.copyFile(file, {
+            userId,
+            folderId,
+            originalName: file.original_name,
+            reservationId
+          });
+
+          await jobService.updateItem(job, index, { state: 'done', file: copy });
+        } catch (error) {
+          console.error(`Failed to copy file ${file.id}:`, error);
+          await jobService.updateItem(job, index, { state: 'failed', error: error.message });
+        }
+
+        await storageReservationService.extend(reservationId);
+      }
+    } catch (error) {
+      console.error(`Copy job ${job.id} error:`, error);
+
+      for (const item of job.items) {
+        if (item.state === 'queued') {
+          await jobService.updateItem(job, item.index, { state: 'failed', error: 'Copy was interrupted' });
+        }
+      }
+    } finally {
+      try {
+        await storageReservationService.release(reservationId);
+      } catch (error) {
+        console.error('Failed to release storage reservation:', error);
+      }
+
+      const copied = job.items.filter(item => item.state === 'done').length;
+      await jobService.completeJob(job, {
+        message: `Copy completed. ${copied} files copied successfully, ${job.items.length - copied} failed.`
+      });
+    }
+  }
+}
+
+module.exports = new CopyService();
\ No newline at end of file
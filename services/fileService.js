@@ -0,0 +1,431 @@
+const path = require('path');
+const { pool } = require('../config/database');
+const backblazeService = require('../config/backblaze');
+const redisService = require('../config/redis');
+const thumbnailService = require('./thumbnailService');
+const blobService = require('./blobService');
+const objectCache = require('./objectCache');
+const storageReservationService = require('./storageReservationService');
+const versionService = require('./versionService');
+const activityService = require('./activityService');
+const contentIndexService = require('./contentIndexService');
+
+// What happens when a file is placed where one with the same name exists
+const CONFLICT_POLICIES = ['rename', 'replace', 'skip', 'fail', 'new-version'];
+const DEFAULT_CONFLICT_POLICY = 'rename';
+
+// Unique indexes on the names of the live files in each folder, and in each
+// user's root
+const NAME_INDEXES = ['idx_files_folder_name_unique', 'idx_files_root_name_unique'];
+
+const nameConflictError = (name) => {
+  const error = new Error(`A file named "${name}" already exists in this folder`);
+  error.status = 409;
+  error.code = 'NAME_CONFLICT';
+  return error;
+};
+
+const escapeLikePattern = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+// Checksums clients may send with an upload, as hex digests
+const CHECKSUM_LENGTHS = { sha1: 40, sha256: 64 };
+
+// MIME type categories for filtering: the storage stats breakdown, with
+// plain text counted as documents. Each builds a condition on a column.
+const MIME_CATEGORIES = {
+  image: (column) => `${column} LIKE 'image/%'`,
+  video: (column) => `${column} LIKE 'video/%'`,
+  audio: (column) => `${column} LIKE 'audio/%'`,
+  document: (column) => `(${column} = 'application/pdf' OR ${column} LIKE '%document%' OR ${column} LIKE '%sheet%' OR ${column} LIKE '%presentation%' OR ${column} LIKE 'text/%')`,
+  archive: (column) => `(${column} LIKE 'application/zip%' OR ${column} LIKE 'application/x-%')`
+};
+MIME_CATEGORIES.other = (column) => `NOT COALESCE(${Object.values(MIME_CATEGORIES).map(condition => condition(column)).join(' OR ')}, FALSE)`;
+
+class FileService {
+  // Returns the policy named by an onConflict option, the default when it is
+  // missing, or null when it isn't a known policy
+  parseConflictPolicy(value) {
+    if (value === undefined || value === null || value === '') return DEFAULT_CONFLICT_POLICY;
+    return CONFLICT_POLICIES.includes(value) ? value : null;
+  }
+
+  // SQL condition matching files of a MIME category (image, video, audio,
+  // document, archive or other) on column, or null for unknown categories
+  getMimeCategoryCondition(category, column = 'f.mime_type') {
+    return Object.prototype.hasOwnProperty.call(MIME_CATEGORIES, category) ? MIME_CATEGORIES[category](column) : null;
+  }
+
+  // Normalizes client-supplied { sha1, sha256 } hex digests, leaving out
+  // missing ones. Returns null when one is malformed.
+  parseChecksums(values = {}) {
+    const checksums = {};
+
+    for (const [algorithm, length] of Object.entries(CHECKSUM_LENGTHS)) {
+      const value = values[algorithm];
+      if (value === undefined || value === null || value === '') continue;
+
+      const digest = String(value).trim().toLowerCase();
+      if (digest.length !== length || !/^[0-9a-f]+$/.test(digest)) return null;
+      checksums[algorithm] = digest;
+    }
+
+    return checksums;
+  }
+
+  // Throws an error with a status when a computed hash doesn't match the
+  // checksum the client sent for it
+  verifyChecksums(expected, actual) {
+    for (const algorithm of Object.keys(CHECKSUM_LENGTHS)) {
+      if (expected && expected[algorithm] && expected[algorithm] !== actual[algorithm]) {
+        const error = new Error(`${algorithm.toUpperCase()} checksum mismatch: expected ${expected[algorithm]}, got ${actual[algorithm]}`);
+        error.status = 400;
+        error.code = 'CHECKSUM_MISMATCH';
+        throw error;
+      }
+    }
+  }
+
+  // Files in a folder are shared by everyone with access to it; the root is
+  // per user. Trashed files have no folder and don't take up names.
+  getFolderScope(userId, folderId, firstParam) {
+    return folderId
+      ? { condition: `f.folder_id = $${firstParam}`, params: [folderId] }
+      : { condition: `f.folder_id IS NULL AND f.user_id = $${firstParam} AND f.deleted_at IS NULL`, params: [userId] };
+  }
+
+  async findFileByName(userId, folderId, name, excludeFileId = null) {
+    const scope = this.getFolderScope(userId, folderId, 4);
+
+    const result = await pool.query(`
+      SELECT f.*,
+             CASE WHEN f.user_id = $1 THEN 'owner' ELSE p.permission_type END as access_level
+      FROM files f
+      LEFT JOIN permissions p ON f.folder_id = p.folder_id AND p.shared_with_user_id = $1
+      WHERE f.original_name = $2 AND f.id IS DISTINCT FROM $3 AND ${scope.condition}
+      ORDER BY f.created_at
+      LIMIT 1
+    `, [userId, name, excludeFileId, ...scope.params]);
+
+    return result.rows[0] || null;
+  }
+
+  // First free "name (n).ext" in the folder
+  async getAvailableName(userId, folderId, name) {
+    const extension = path.extname(name);
+    const baseName = extension ? name.slice(0, -extension.length) : name;
+    const scope = this.getFolderScope(userId, folderId, 2);
+
+    const result = await pool.query(`
+      SELECT f.original_name FROM files f
+      WHERE f.original_name LIKE $1 AND ${scope.condition}
+    `, [`${escapeLikePattern(baseName)} (%)${escapeLikePattern(extension)}`, ...scope.params]);
+
+    const takenNames = new Set(result.rows.map(row => row.original_name));
+    let suffix = 1;
+    while (takenNames.has(`${baseName} (${suffix})${extension}`)) {
+      suffix++;
+    }
+
+    return `${baseName} (${suffix})${extension}`;
+  }
+
+  // Decides how a file named name is placed into folderId under the given
+  // conflict policy. Resolves to { name } with the name to use, plus
+  // replaceFile when an existing file should be trashed to make room for the
+  // new one, or newVersionOf when the upload becomes the existing file's new
+  // version, or { skip: true, existingFile } when nothing should be placed.
+  // renameOnConflict is set under the rename policy, for saveWithName.
+  // The fail policy, or replacing files without edit access to the folder,
+  // throws an error with a status. excludeFileId ignores the file being
+  // moved itself.
+  async resolveNameConflict({ userId, folderId, name, onConflict, excludeFileId = null }) {
+    const existingFile = await this.findFileByName(userId, folderId, name, excludeFileId);
+    if (!existingFile) return { name, renameOnConflict: onConflict === 'rename' };
+
+    switch (onConflict) {
+      case 'skip':
+        return { skip: true, existingFile };
+
+      case 'replace':
+      case 'new-version': {
+        // Whoever uploaded the file, the folder decides who may replace it
+        const accessDenial = await this.checkUploadAccess(folderId, userId, `Insufficient permissions to replace "${name}"`, ['edit']);
+        if (accessDenial) {
+          const error = new Error(accessDenial.body.error);
+          error.status = accessDenial.status;
+          error.code = 'NAME_CONFLICT';
+          throw error;
+        }
+        return onConflict === 'replace'
+          ? { name, replaceFile: existingFile }
+          : { name: existingFile.original_name, newVersionOf: existingFile };
+      }
+
+      case 'fail':
+        throw nameConflictError(name);
+
+      default:
+        return { name: await this.getAvailableName(userId, folderId, name), renameOnConflict: true };
+    }
+  }
+
+  // Runs save(name), a query that saves a file as name in folderId. When
+  // another file took the name after it was checked, the unique name indexes
+  // make the query fail: with renameOnConflict it is run again with the next
+  // free name, otherwise this rejects with a NAME_CONFLICT error. Resolves
+  // to what save resolves to.
+  async saveWithName({ userId, folderId, name, renameOnConflict = false }, save) {
+    let fileName = name;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await save(fileName);
+      } catch (error) {
+        if (error.code !== '23505' || !NAME_INDEXES.includes(error.constraint)) throw error;
+        if (!renameOnConflict || attempt >= 5) throw nameConflictError(fileName);
+
+        fileName = await this.getAvailableName(userId, folderId, name);
+      }
+    }
+  }
+
+  // Returns null when the user may add files to the folder, otherwise the
+  // status code and body the route should respond with. Users other than
+  // the folder's owner need one of permissionTypes on it.
+  async checkUploadAccess(folderId, userId, deniedMessage = 'Insufficient permissions to upload to this folder', permissionTypes = ['create', 'edit']) {
+    if (!folderId) return null;
+
+    const folderResult = await pool.query(
+      'SELECT user_id FROM folders WHERE id = $1',
+      [folderId]
+    );
+
+    if (folderResult.rows.length === 0) {
+      return { status: 404, body: { error: 'Folder not found' } };
+    }
+
+    if (folderResult.rows[0].user_id !== userId) {
+      const permissionResult = await pool.query(
+        'SELECT permission_type FROM permissions WHERE folder_id = $1 AND shared_with_user_id = $2',
+        [folderId, userId]
+      );
+
+      if (permissionResult.rows.length === 0 ||
+          !permissionTypes.includes(permissionResult.rows[0].permission_type)) {
+        return { status: 403, body: { error: deniedMessage } };
+      }
+    }
+
+    return null;
+  }
+
+  // Like checkUploadAccess, for renaming file (a row with access_level) or
+  // moving it to targetFolderId: both folders need create or edit access.
+  // Files in someone else's folder can't be moved to the mover's root.
+  async checkMoveAccess(file, userId, targetFolderId) {
+    const sourceDenial = await this.checkUploadAccess(file.folder_id, userId, 'Insufficient permissions to change files in this folder');
+    if (sourceDenial) return sourceDenial;
+
+    if ((targetFolderId || null) === file.folder_id) return null;
+
+    if (!targetFolderId && file.user_id !== userId) {
+      return { status: 403, body: { error: 'Only the owner of a file can move it to the root folder' } };
+    }
+
+    return this.checkUploadAccess(targetFolderId, userId, 'Insufficient permissions to move files into this folder');
+  }
+
+  // Renames file and/or moves it to folderId. Name conflicts there follow
+  // onConflict as for uploads; a replaced file is trashed to make room, and
+  // put back if the move fails. Resolves to { file } with the updated row,
+  // or { skip: true, existingFile } when the skip policy left it in place.
+  async moveFile(file, { userId, name = file.original_name, folderId = file.folder_id, onConflict }) {
+    const placement = await this.resolveNameConflict({
+      userId,
+      folderId,
+      name,
+      onConflict,
+      excludeFileId: file.id
+    });
+
+    if (placement.skip) return placement;
+
+    const replacedFile = placement.replaceFile ? await this.trashReplacedFile(placement.replaceFile, userId) : null;
+
+    let result;
+    try {
+      result = await this.saveWithName({ userId, folderId, name: placement.name, renameOnConflict: placement.renameOnConflict }, (fileName) => pool.query(
+        'UPDATE files SET original_name = $1, folder_id = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3 RETURNING *',
+        [fileName, folderId || null, file.id]
+      ));
+    } catch (error) {
+      await this.restoreReplacedFile(replacedFile);
+      throw error;
+    }
+
+    // Cached metadata and share data carry the old name and folder
+    await redisService.invalidateFileCache(file.id);
+    if (file.public_share_token) {
+      await redisService.del(`public:${file.public_share_token}`);
+    }
+
+    return { file: result.rows[0] };
+  }
+
+  // Thumbnail failures never fail the upload itself. fileSource is a buffer or
+  // a temp file path; only images need it, other types get a placeholder.
+  async generateThumbnail(fileSource, originalName, mimeType) {
+    if (!thumbnailService.shouldGenerateThumbnail(mimeType)) return null;
+    if (mimeType.startsWith('image/') && !fileSource) return null;
+
+    try {
+      return await thumbnailService.processAndUploadThumbnail(
+        fileSource,
+        originalName,
+        mimeType
+      );
+    } catch (thumbnailError) {
+      console.error('Thumbnail generation failed for', originalName, ':', thumbnailError);
+      return null;
+    }
+  }
+
+  // Saves the row for an object already stored in Backblaze and charges its
+  // size to the uploader's storage usage, out of reservationId when the bytes
+  // were reserved up front. Identical content is deduplicated, so the row may
+  // end up pointing at an object stored by an earlier upload.
+  // mimeType is the sniffed type; declaredMimeType is what the client sent.
+  // replaceFile, from resolveNameConflict, is trashed to make room for the
+  // row, and put back if saving it fails. renameOnConflict is passed on to
+  // saveWithName.
+  // With newVersionOf the content becomes that file's new version instead of
+  // a new row, and is charged to the file's owner: out of reservationId when
+  // it was reserved against the owner, otherwise only if it fits in the
+  // owner's quota. A collaborator's own reservation is left to be released.
+  async createFileRecord({ userId, folderId, name, originalName, mimeType, declaredMimeType, typeMismatch, size, sha256, sha1, uploadResult, thumbnailData, reservationId, replaceFile, renameOnConflict, newVersionOf }) {
+    const blob = await blobService.acquireBlob({ sha256, size, uploadResult, fileName: name });
+
+    if (newVersionOf) {
+      // Charged before the version replaces the current content, so a full
+      // quota leaves the file as it was
+      try {
+        await storageReservationService.commit(reservationId, newVersionOf.user_id, size);
+      } catch (error) {
+        await blobService.releaseBlob(blob.id);
+        throw error;
+      }
+
+      let fileRecord;
+      try {
+        fileRecord = await versionService.addVersion(newVersionOf, { blob, mimeType, declaredMimeType, typeMismatch, size, sha256, sha1, thumbnailData });
+      } catch (error) {
+        await storageReservationService.refund(newVersionOf.user_id, size);
+        await blobService.releaseBlob(blob.id);
+        throw error;
+      }
+
+      await activityService.recordAccess(userId, fileRecord.id, 'upload');
+      return fileRecord;
+    }
+
+    let replacedFile = null;
+    let dbResult;
+    try {
+      if (replaceFile) {
+        replacedFile = await this.trashReplacedFile(replaceFile, userId);
+      }
+
+      dbResult = await this.saveWithName({ userId, folderId, name: originalName, renameOnConflict }, (fileName) => pool.query(`
+        INSERT INTO files (user_id, folder_id, name, original_name, mime_type, size, backblaze_file_id, backblaze_url, thumbnail_path, thumbnail_backblaze_file_id, has_thumbnail, blob_id, content_sha256, content_sha1, declared_mime_type, type_mismatch)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+        RETURNING *
+      `, [
+        userId,
+        folderId || null,
+        blob.backblaze_file_name,
+        fileName,
+        mimeType,
+        size,
+        blob.backblaze_file_id,
+        backblazeService.buildDownloadUrl(blob.backblaze_file_name),
+        thumbnailData ? thumbnailData.thumbnailName : null,
+        thumbnailData ? thumbnailData.thumbnailFileId : null,
+        !!thumbnailData,
+        blob.id,
+        sha256,
+        sha1 || null,
+        declaredMimeType || null,
+        !!typeMismatch
+      ]));
+    } catch (error) {
+      await blobService.releaseBlob(blob.id);
+      await this.restoreReplacedFile(replacedFile);
+      throw error;
+    }
+
+    if (typeMismatch) {
+      console.warn(`File ${dbResult.rows[0].id} (${dbResult.rows[0].original_name}) was detected as ${mimeType}, which doesn't match its extension`);
+    }
+
+    // Update user's storage usage
+    try {
+      await storageReservationService.commit(reservationId, userId, size);
+    } catch (error) {
+      await pool.query('DELETE FROM files WHERE id = $1', [dbResult.rows[0].id]);
+      await blobService.releaseBlob(blob.id);
+      await this.restoreReplacedFile(replacedFile);
+      throw error;
+    }
+
+    await activityService.recordAccess(userId, dbResult.rows[0].id, 'upload');
+    contentIndexService.schedule();
+
+    return dbResult.rows[0];
+  }
+
+  // Files replaced under the replace policy go to the trash like deleted
+  // ones, so they can still be restored. Resolves to the trashed row.
+  // trashService itself depends on this service, so it is only required
+  // once needed.
+  async trashReplacedFile(file, userId) {
+    const trashService = require('./trashService');
+    return trashService.trashFile(file, userId);
+  }
+
+  // Puts back a file trashed by trashReplacedFile when what was to replace
+  // it couldn't be saved
+  async restoreReplacedFile(trashedFile) {
+    if (!trashedFile) return;
+
+    const trashService = require('./trashService');
+    await trashService.restoreFile(trashedFile).catch((error) => {
+      console.error(`Failed to restore replaced file ${trashedFile.id}:`, error);
+    });
+  }
+
+  // Removes a file row and its versions, gives their size back to the
+  // owner's storage usage and deletes the stored objects once no other file
+  // references them.
+  async deleteFileRecord(file) {
+    await versionService.deleteAllVersions(file);
+    await pool.query('DELETE FROM files WHERE id = $1', [file.id]);
+
+    // Update user's storage usage (decrease by file size)
+    await pool.query(
+      'UPDATE users SET storage_used = storage_used - $1 WHERE id = $2',
+      [file.size, file.user_id]
+    );
+
+    // Deduplicated content may still be in use, but the next read of it
+    // fetches it again
+    objectCache.invalidate(file.name);
+    objectCache.invalidate(file.thumbnail_path);
+
+    try {
+      await blobService.releaseFileContent(file);
+    } catch (b2Error) {
+      console.error(`Backblaze deletion error for file ${file.id}:`, b2Error);
+    }
+  }
+}
+
+module.exports = new FileService();
\ No newline at end of file
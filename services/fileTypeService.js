@@ -0,0 +1,251 @@
+const path = require('path');
+
+// Number of leading bytes needed to recognise every signature below
+const SNIFF_LENGTH = 4100;
+
+// Executables are blocked unless BLOCKED_FILE_TYPES says otherwise
+const DEFAULT_BLOCKED_TYPES = [
+  '.exe', '.dll', '.msi', '.scr', '.com', '.pif', '.cpl', '.bat', '.cmd', '.ps1', '.vbs', '.vbe', '.jse', '.wsf', '.hta',
+  'application/x-msdownload', 'application/x-dosexec', 'application/x-msi',
+  'application/x-executable', 'application/x-mach-binary', 'application/vnd.microsoft.portable-executable'
+];
+
+const EXTENSION_TYPES = {
+  // Images
+  '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.gif': 'image/gif', '.bmp': 'image/bmp',
+  '.tif': 'image/tiff', '.tiff': 'image/tiff', '.webp': 'image/webp', '.svg': 'image/svg+xml', '.ico': 'image/x-icon',
+  '.heic': 'image/heic', '.avif': 'image/avif',
+  // Videos
+  '.mp4': 'video/mp4', '.m4v': 'video/mp4', '.mov': 'video/quicktime', '.avi': 'video/x-msvideo', '.mkv': 'video/x-matroska',
+  '.wmv': 'video/x-ms-wmv', '.flv': 'video/x-flv', '.webm': 'video/webm', '.3gp': 'video/3gpp',
+  // Audio
+  '.mp3': 'audio/mpeg', '.wav': 'audio/wav', '.flac': 'audio/flac', '.aac': 'audio/aac', '.ogg': 'audio/ogg',
+  '.wma': 'audio/x-ms-wma', '.m4a': 'audio/mp4', '.mka': 'audio/x-matroska',
+  // Documents
+  '.pdf': 'application/pdf', '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel', '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.ppt': 'application/vnd.ms-powerpoint', '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.odt': 'application/vnd.oasis.opendocument.text', '.ods': 'application/vnd.oasis.opendocument.spreadsheet',
+  '.odp': 'application/vnd.oasis.opendocument.presentation', '.epub': 'application/epub+zip',
+  '.txt': 'text/plain', '.rtf': 'application/rtf', '.csv': 'text/csv',
+  // Archives
+  '.zip': 'application/zip', '.rar': 'application/x-rar-compressed', '.7z': 'application/x-7z-compressed',
+  '.tar': 'application/x-tar', '.gz': 'application/gzip', '.tgz': 'application/gzip', '.bz2': 'application/x-bzip2',
+  '.xz': 'application/x-xz', '.jar': 'application/java-archive', '.apk': 'application/vnd.android.package-archive',
+  // Code/Data
+  '.json': 'application/json', '.xml': 'application/xml', '.html': 'text/html', '.htm': 'text/html', '.css': 'text/css',
+  '.js': 'text/javascript', '.ts': 'text/plain', '.py': 'text/x-python', '.java': 'text/x-java-source', '.cpp': 'text/x-c',
+  '.c': 'text/x-c', '.h': 'text/x-c', '.php': 'text/x-php', '.rb': 'text/x-ruby', '.go': 'text/plain', '.sql': 'application/x-sql',
+  '.md': 'text/markdown', '.log': 'text/plain', '.yml': 'text/plain', '.yaml': 'text/plain', '.sh': 'text/x-shellscript',
+  // Executables
+  '.exe': 'application/x-msdownload', '.dll': 'application/x-msdownload', '.msi': 'application/x-msi',
+  '.sqlite': 'application/vnd.sqlite3', '.wasm': 'application/wasm'
+};
+
+// Containers whose signature alone doesn't identify the format; the
+// extension picks the concrete type when it names one of these.
+const CONTAINER_FORMATS = {
+  'application/zip': [
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'application/java-archive', 'application/vnd.android.package-archive'
+  ],
+  'application/x-ole-storage': [
+    'application/msword', 'application/vnd.ms-excel', 'application/vnd.ms-powerpoint', 'application/x-msi'
+  ],
+  'video/x-ms-wmv': ['audio/x-ms-wma'],
+  'video/x-matroska': ['video/webm', 'audio/x-matroska'],
+  'video/mp4': ['audio/mp4'],
+  'audio/ogg': ['video/ogg'],
+  'application/xml': ['image/svg+xml']
+};
+
+const TEXT_LIKE_TYPES = ['application/json', 'application/xml', 'application/x-sql', 'application/rtf'];
+
+const startsWith = (buffer, bytes, offset = 0) => {
+  if (buffer.length < offset + bytes.length) return false;
+  return bytes.every((byte, index) => buffer[offset + index] === byte);
+};
+
+const ascii = (buffer, start, end) => buffer.toString('latin1', start, end);
+
+// "MZ" alone is too weak: require the PE header, or at least binary content
+const isWindowsExecutable = (buf) => {
+  if (ascii(buf, 0, 2) !== 'MZ' || buf.length < 64) return false;
+
+  const peOffset = buf.readUInt32LE(0x3C);
+  if (ascii(buf, peOffset, peOffset + 4) === 'PE\0\0') return true;
+  return buf.subarray(0, 64).includes(0x00);
+};
+
+const SIGNATURES = [
+  { mimeType: 'image/jpeg', test: buf => startsWith(buf, [0xFF, 0xD8, 0xFF]) },
+  { mimeType: 'image/png', test: buf => startsWith(buf, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]) },
+  { mimeType: 'image/gif', test: buf => ['GIF87a', 'GIF89a'].includes(ascii(buf, 0, 6)) },
+  { mimeType: 'image/webp', test: buf => ascii(buf, 0, 4) === 'RIFF' && ascii(buf, 8, 12) === 'WEBP' },
+  { mimeType: 'image/tiff', test: buf => startsWith(buf, [0x49, 0x49, 0x2A, 0x00]) || startsWith(buf, [0x4D, 0x4D, 0x00, 0x2A]) },
+  { mimeType: 'image/bmp', test: buf => ascii(buf, 0, 2) === 'BM' && buf.length >= 26 && buf.readUInt32LE(6) === 0 },
+  { mimeType: 'image/x-icon', test: buf => startsWith(buf, [0x00, 0x00, 0x01, 0x00]) },
+  { mimeType: 'application/pdf', test: buf => ascii(buf, 0, 5) === '%PDF-' },
+  { mimeType: 'application/rtf', test: buf => ascii(buf, 0, 5) === '{\\rtf' },
+  { mimeType: 'application/x-rar-compressed', test: buf => startsWith(buf, [0x52, 0x61, 0x72, 0x21, 0x1A, 0x07]) },
+  { mimeType: 'application/x-7z-compressed', test: buf => startsWith(buf, [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C]) },
+  { mimeType: 'application/gzip', test: buf => startsWith(buf, [0x1F, 0x8B]) },
+  { mimeType: 'application/x-bzip2', test: buf => ascii(buf, 0, 3) === 'BZh' && buf[3] >= 0x31 && buf[3] <= 0x39 },
+  { mimeType: 'application/x-xz', test: buf => startsWith(buf, [0xFD, 0x37, 0x7A, 0x58, 0x5A, 0x00]) },
+  { mimeType: 'application/x-tar', test: buf => ascii(buf, 257, 262) === 'ustar' },
+  { mimeType: 'application/x-ole-storage', test: buf => startsWith(buf, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]) },
+  { mimeType: 'audio/wav', test: buf => ascii(buf, 0, 4) === 'RIFF' && ascii(buf, 8, 12) === 'WAVE' },
+  { mimeType: 'video/x-msvideo', test: buf => ascii(buf, 0, 4) === 'RIFF' && ascii(buf, 8, 12) === 'AVI ' },
+  { mimeType: 'video/x-flv', test: buf => ascii(buf, 0, 3) === 'FLV' && buf[3] === 0x01 },
+  { mimeType: 'video/x-ms-wmv', test: buf => startsWith(buf, [0x30, 0x26, 0xB2, 0x75, 0x8E, 0x66, 0xCF, 0x11]) },
+  // EBML header, shared by Matroska and WebM
+  { mimeType: 'video/x-matroska', test: buf => startsWith(buf, [0x1A, 0x45, 0xDF, 0xA3]) },
+  { mimeType: 'audio/flac', test: buf => ascii(buf, 0, 4) === 'fLaC' },
+  { mimeType: 'audio/ogg', test: buf => ascii(buf, 0, 4) === 'OggS' },
+  { mimeType: 'audio/mpeg', test: buf => ascii(buf, 0, 3) === 'ID3' },
+  { mimeType: 'audio/aac', test: buf => buf[0] === 0xFF && (buf[1] & 0xF6) === 0xF0 },
+  { mimeType: 'audio/mpeg', test: buf => buf[0] === 0xFF && (buf[1] & 0xE0) === 0xE0 },
+  { mimeType: 'application/vnd.sqlite3', test: buf => ascii(buf, 0, 16) === 'SQLite format 3\0' },
+  { mimeType: 'application/wasm', test: buf => startsWith(buf, [0x00, 0x61, 0x73, 0x6D]) },
+  // Executables
+  { mimeType: 'application/x-msdownload', test: isWindowsExecutable },
+  { mimeType: 'application/x-executable', test: buf => startsWith(buf, [0x7F, 0x45, 0x4C, 0x46]) },
+  {
+    mimeType: 'application/x-mach-binary',
+    test: buf => [[0xFE, 0xED, 0xFA, 0xCE], [0xFE, 0xED, 0xFA, 0xCF], [0xCE, 0xFA, 0xED, 0xFE], [0xCF, 0xFA, 0xED, 0xFE]]
+      .some(magic => startsWith(buf, magic))
+  }
+];
+
+class FileTypeService {
+  constructor() {
+    this.sniffLength = SNIFF_LENGTH;
+    this.blockedTypes = (process.env.BLOCKED_FILE_TYPES !== undefined
+      ? process.env.BLOCKED_FILE_TYPES.split(',')
+      : DEFAULT_BLOCKED_TYPES
+    ).map(type => type.trim().toLowerCase()).filter(Boolean)
+      .map(type => (type.includes('/') || type.startsWith('.') ? type : `.${type}`));
+  }
+
+  getExtensionType(fileName) {
+    return EXTENSION_TYPES[path.extname(fileName).toLowerCase()] || null;
+  }
+
+  // ISO base media files (mp4, mov, heic, ...) are told apart by their brand
+  detectFtypBrand(buffer) {
+    if (ascii(buffer, 4, 8) !== 'ftyp') return null;
+
+    const brand = ascii(buffer, 8, 12);
+    if (brand === 'qt  ') return 'video/quicktime';
+    if (brand === 'M4A ' || brand === 'M4B ') return 'audio/mp4';
+    if (brand.startsWith('3g')) return 'video/3gpp';
+    if (['heic', 'heix', 'mif1', 'msf1'].includes(brand)) return 'image/heic';
+    if (brand === 'avif') return 'image/avif';
+    return 'video/mp4';
+  }
+
+  detectZip(buffer) {
+    if (!startsWith(buffer, [0x50, 0x4B, 0x03, 0x04]) && !startsWith(buffer, [0x50, 0x4B, 0x05, 0x06])) return null;
+
+    // ODF and EPUB store their type uncompressed as the first entry
+    if (ascii(buffer, 30, 38) === 'mimetype') {
+      const declaredType = ascii(buffer, 38, 38 + 73).match(/^[\w.+-]+\/[\w.+-]+/);
+      if (declaredType) return declaredType[0];
+    }
+
+    const entries = ascii(buffer, 0, buffer.length);
+    if (entries.includes('word/')) return 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+    if (entries.includes('xl/')) return 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+    if (entries.includes('ppt/')) return 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+    return 'application/zip';
+  }
+
+  detectText(buffer) {
+    const sample = buffer.subarray(0, SNIFF_LENGTH);
+    if (sample.includes(0x00)) return null;
+
+    // Mostly control characters means binary
+    let controlBytes = 0;
+    for (const byte of sample) {
+      if (byte < 0x09 || (byte > 0x0D && byte < 0x20)) controlBytes++;
+    }
+    if (sample.length > 0 && controlBytes / sample.length > 0.05) return null;
+
+    const head = sample.toString('utf8').replace(/^﻿/, '').trimStart().slice(0, 512).toLowerCase();
+    if (head.startsWith('<svg') || (head.startsWith('<?xml') && sample.toString('utf8').toLowerCase().includes('<svg'))) {
+      return { mimeType: 'image/svg+xml', conclusive: true };
+    }
+    if (head.startsWith('<!doctype html') || head.startsWith('<html')) {
+      return { mimeType: 'text/html', conclusive: true };
+    }
+    if (head.startsWith('<?xml')) {
+      return { mimeType: 'application/xml', conclusive: true };
+    }
+
+    return { mimeType: 'text/plain', conclusive: false };
+  }
+
+  // Identifies the content from its leading bytes. Returns the MIME type to
+  // store and whether it contradicts the file extension.
+  detect(buffer, fileName) {
+    const extensionType = this.getExtensionType(fileName);
+
+    let detectedType = this.detectFtypBrand(buffer) || this.detectZip(buffer);
+    if (!detectedType) {
+      const signature = SIGNATURES.find(candidate => candidate.test(buffer));
+      detectedType = signature ? signature.mimeType : null;
+    }
+
+    if (detectedType) {
+      // A generic container whose extension names a more specific format
+      if (extensionType && (CONTAINER_FORMATS[detectedType] || []).includes(extensionType)) {
+        return { mimeType: extensionType, mismatch: false };
+      }
+      return { mimeType: detectedType, mismatch: !!extensionType && extensionType !== detectedType };
+    }
+
+    const text = this.detectText(buffer);
+    if (text) {
+      const extensionIsText = extensionType &&
+        (extensionType.startsWith('text/') || TEXT_LIKE_TYPES.includes(extensionType));
+
+      if (text.conclusive) {
+        if (extensionType && (CONTAINER_FORMATS[text.mimeType] || []).includes(extensionType)) {
+          return { mimeType: extensionType, mismatch: false };
+        }
+        return { mimeType: text.mimeType, mismatch: !!extensionType && extensionType !== text.mimeType };
+      }
+
+      return {
+        mimeType: extensionIsText ? extensionType : text.mimeType,
+        mismatch: !!extensionType && !extensionIsText
+      };
+    }
+
+    // Unknown binary content is never rendered inline
+    return {
+      mimeType: 'application/octet-stream',
+      mismatch: !!extensionType && extensionType.startsWith('text/')
+    };
+  }
+
+  // Returns why the file is blocked, or null when it may be stored
+  getBlockReason({ fileName, mimeTypes }) {
+    const extension = path.extname(fileName).toLowerCase();
+    if (extension && this.blockedTypes.includes(extension)) {
+      return `Files with the ${extension} extension are not allowed`;
+    }
+
+    const blockedType = mimeTypes.find(mimeType => mimeType && this.blockedTypes.includes(mimeType.toLowerCase()));
+    if (blockedType) {
+      return `Files of type ${blockedType} are not allowed`;
+    }
+
+    return null;
+  }
+}
+
+module.exports = new FileTypeService();
\ No newline at end of file
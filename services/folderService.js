@@ -0,0 +1,187 @@
+const { pool } = require('../config/database');
+
+const MAX_PATH_DEPTH = 32;
+const MAX_NAME_LENGTH = 255;
+
+class FolderService {
+  // Splits a client-supplied relative path ("photos/2023/a.jpg") into folder
+  // names and the file name. Returns null for paths that try to escape the
+  // target folder or are otherwise unusable.
+  parseRelativePath(relativePath) {
+    const segments = relativePath.split(/[\\/]/).map(segment => segment.trim()).filter(segment => segment && segment !== '.');
+
+    if (segments.length === 0 || segments.length > MAX_PATH_DEPTH) return null;
+    if (segments.some(segment => segment === '..' || segment.length > MAX_NAME_LENGTH)) return null;
+
+    return {
+      folders: segments.slice(0, -1),
+      fileName: segments[segments.length - 1]
+    };
+  }
+
+  // Returns the id of the folder at folderNames below parentFolderId, creating
+  // whatever is missing. An existing same-name folder is reused when the user
+  // owns it or may create in it. resolved caches paths already handled in
+  // this operation and records each one as { id, created }.
+  async ensureFolderPath(userId, parentFolderId, folderNames, resolved) {
+    let folderId = parentFolderId || null;
+    let folderPath = '';
+
+    for (const name of folderNames) {
+      folderPath = folderPath ? `${folderPath}/${name}` : name;
+
+      if (!resolved.has(folderPath)) {
+        resolved.set(folderPath, await this.findOrCreateFolder(userId, folderId, name));
+      }
+
+      folderId = resolved.get(folderPath).id;
+    }
+
+    return folderId;
+  }
+
+  // Names of the folders from the root down to folderId (included)
+  async getFolderPath(folderId) {
+    const result = await pool.query(`
+      WITH RECURSIVE ancestors AS (
+        SELECT id, name, parent_folder_id, 0 AS depth FROM folders WHERE id = $1
+        UNION ALL
+        SELECT f.id, f.name, f.parent_folder_id, a.depth + 1
+        FROM folders f
+        JOIN ancestors a ON f.id = a.parent_folder_id
+        WHERE a.depth < $2
+      )
+      SELECT name FROM ancestors ORDER BY depth DESC
+    `, [folderId, MAX_PATH_DEPTH]);
+
+    return result.rows.map(row => row.name);
+  }
+
+  // Paths of several folders as seen by userId: a Map from each folder id to
+  // the names leading down to it (included), starting at the highest folder
+  // the user can read, so names of someone else's unshared folders aren't
+  // revealed
+  async getFolderPaths(userId, folderIds) {
+    const paths = new Map();
+    if (folderIds.length === 0) return paths;
+
+    const result = await pool.query(`
+      WITH RECURSIVE ancestors AS (
+        SELECT id AS folder_id, id, name, parent_folder_id, user_id, 0 AS depth
+        FROM folders WHERE id = ANY($1::int[])
+        UNION ALL
+        SELECT a.folder_id, f.id, f.name, f.parent_folder_id, f.user_id, a.depth + 1
+        FROM folders f
+        JOIN ancestors a ON f.id = a.parent_folder_id
+        WHERE a.depth < $2
+      )
+      SELECT a.folder_id, a.name, (a.user_id = $3 OR p.id IS NOT NULL) AS readable
+      FROM ancestors a
+      LEFT JOIN permissions p ON p.folder_id = a.id AND p.shared_with_user_id = $3
+      ORDER BY a.folder_id, a.depth
+    `, [folderIds, MAX_PATH_DEPTH, userId]);
+
+    const hidden = new Set();
+    for (const row of result.rows) {
+      if (!paths.has(row.folder_id)) paths.set(row.folder_id, []);
+      if (!row.readable) hidden.add(row.folder_id);
+      if (hidden.has(row.folder_id)) continue;
+
+      paths.get(row.folder_id).unshift(row.name);
+    }
+
+    return paths;
+  }
+
+  // Folders the user may read, with the same rules as checkFolderPermission:
+  // the owner, or anyone the folder is shared with. condition filters the
+  // folders f with params numbered from $2.
+  async getReadableFolders(userId, condition, params) {
+    const result = await pool.query(`
+      SELECT f.id, f.name, f.parent_folder_id
+      FROM folders f
+      LEFT JOIN permissions p ON f.id = p.folder_id AND p.shared_with_user_id = $1
+      WHERE ${condition} AND (f.user_id = $1 OR p.shared_with_user_id = $1)
+      ORDER BY f.name
+    `, [userId, ...params]);
+
+    return result.rows;
+  }
+
+  // name, or the first free "name (n)" among the folders in parentFolderId
+  async getAvailableName(userId, parentFolderId, name) {
+    const result = await pool.query(`
+      SELECT name FROM folders
+      WHERE parent_folder_id IS NOT DISTINCT FROM $1 AND ($1::int IS NOT NULL OR user_id = $2)
+        AND (name = $3 OR name LIKE $4)
+    `, [parentFolderId, userId, name, `${name.replace(/[\\%_]/g, '\\$&')} (%)`]);
+
+    const takenNames = new Set(result.rows.map(row => row.name));
+    if (!takenNames.has(name)) return name;
+
+    let suffix = 1;
+    while (takenNames.has(`${name} (${suffix})`)) {
+      suffix++;
+    }
+    return `${name} (${suffix})`;
+  }
+
+  // Creates a folder under the first free name from name in parentFolderId,
+  // trying the next one when a concurrent request takes it first. Rejects
+  // with status 409 when it keeps losing that race.
+  async createWithAvailableName(userId, parentFolderId, name) {
+    for (let attempt = 1; attempt <= 5; attempt++) {
+      const availableName = await this.getAvailableName(userId, parentFolderId, name);
+      const result = await pool.query(`
+        INSERT INTO folders (user_id, name, parent_folder_id)
+        VALUES ($1, $2, $3)
+        ON CONFLICT DO NOTHING
+        RETURNING *
+      `, [userId, availableName, parentFolderId]);
+
+      if (result.rows.length > 0) return result.rows[0];
+    }
+
+    const error = new Error('A folder with this name already exists');
+    error.status = 409;
+    error.code = 'NAME_CONFLICT';
+    throw error;
+  }
+
+  // The folder named name in parentFolderId that the user may add to,
+  // created when there is none. At the root only the user's own folders
+  // count. Folder names are unique per user and parent, so concurrent uploads
+  // creating the same folder end up sharing one.
+  async findOrCreateFolder(userId, parentFolderId, name) {
+    const existing = await pool.query(`
+      SELECT f.id
+      FROM folders f
+      LEFT JOIN permissions p ON f.id = p.folder_id AND p.shared_with_user_id = $3
+      WHERE f.name = $1 AND f.parent_folder_id IS NOT DISTINCT FROM $2
+        AND ($2::int IS NOT NULL OR f.user_id = $3)
+        AND (f.user_id = $3 OR p.permission_type IN ('create', 'edit'))
+      ORDER BY (f.user_id = $3) DESC, f.id
+      LIMIT 1
+    `, [name, parentFolderId, userId]);
+
+    if (existing.rows.length > 0) {
+      return { id: existing.rows[0].id, created: false };
+    }
+
+    const result = await pool.query(`
+      INSERT INTO folders (user_id, name, parent_folder_id)
+      VALUES ($1, $2, $3)
+      ON CONFLICT DO NOTHING
+      RETURNING id
+    `, [userId, name, parentFolderId]);
+
+    // Created by someone else's request in the meantime
+    if (result.rows.length === 0) {
+      return this.findOrCreateFolder(userId, parentFolderId, name);
+    }
+
+    return { id: result.rows[0].id, created: true };
+  }
+}
+
+module.exports = new FolderService();
\ No newline at end of file
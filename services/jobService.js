@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const redisService = require('../config/redis');
+
+// Background jobs that work through a list of items (e.g. the files of a
+// batch upload). State is kept in Redis so any request can report progress,
+// with the in-process copy as a fallback when Redis is unavailable. Updates
+// are also emitted locally for Server-Sent Events streams.
+class JobService {
+  constructor() {
+    this.jobTtlSeconds = parseInt(process.env.JOB_TTL_SECONDS) || 24 * 60 * 60;
+    this.jobs = new Map();
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+  }
+
+  getKey(jobId) {
+    return `job:${jobId}`;
+  }
+
+  // items are the initial item objects; each gets an index and a state
+  async createJob({ userId, type, items }) {
+    const job = {
+      id: crypto.randomUUID(),
+      userId,
+      type,
+      status: 'processing',
+      items: items.map((item, index) => ({ state: 'queued', ...item, index })),
+      createdAt: new Date().toISOString(),
+      completedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    await this.save(job);
+
+    return job;
+  }
+
+  async save(job) {
+    job.updatedAt = new Date().toISOString();
+    await redisService.set(this.getKey(job.id), job, this.jobTtlSeconds);
+  }
+
+  async updateItem(job, index, changes) {
+    Object.assign(job.items[index], changes);
+    await this.save(job);
+    this.events.emit(job.id, { event: 'item', data: job.items[index] });
+  }
+
+  async completeJob(job, summary = {}) {
+    job.status = 'completed';
+    job.completedAt = new Date().toISOString();
+    Object.assign(job, summary);
+    await this.save(job);
+    this.events.emit(job.id, { event: 'complete', data: this.getSummary(job) });
+
+    // Finished jobs stay in memory only as long as they would in Redis
+    setTimeout(() => this.jobs.delete(job.id), this.jobTtlSeconds * 1000).unref();
+  }
+
+  getSummary(job) {
+    const counts = {};
+    for (const item of job.items) {
+      counts[item.state] = (counts[item.state] || 0) + 1;
+    }
+
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      total: job.items.length,
+      counts,
+      createdAt: job.createdAt,
+      completedAt: job.completedAt
+    };
+  }
+
+  // Returns the job if it exists and belongs to the user
+  async getJob(jobId, userId) {
+    const job = this.jobs.get(jobId) || await redisService.get(this.getKey(jobId));
+
+    if (!job || job.userId !== userId) return null;
+    return job;
+  }
+
+  // Live events are only emitted on the server running the job
+  isLocal(jobId) {
+    return this.jobs.has(jobId);
+  }
+
+  subscribe(jobId, listener) {
+    this.events.on(jobId, listener);
+    return () => this.events.removeListener(jobId, listener);
+  }
+}
+
+module.exports = new JobService();
\ No newline at end of file
@@ -0,0 +1,294 @@
+const { pool } = require('../config/database');
+const fileService = require('./fileService');
+const tagService = require('./tagService');
+const starService = require('./starService');
+
+const LIST_SORTS = ['name', 'size', 'date', 'type'];
+const LIST_ORDERS = ['asc', 'desc'];
+
+// Sort keys per table, with the type their cursor values are cast back to.
+// Folders have no size or type and sort by name instead.
+const SORT_KEYS = {
+  file: {
+    name: { expression: 'lower(f.original_name)', type: 'text' },
+    size: { expression: 'COALESCE(f.size, 0)', type: 'bigint' },
+    date: { expression: 'f.created_at', type: 'timestamp' },
+    type: { expression: "COALESCE(f.mime_type, '')", type: 'text' }
+  },
+  folder: {
+    name: { expression: 'lower(f.name)', type: 'text' },
+    size: { expression: 'lower(f.name)', type: 'text' },
+    date: { expression: 'f.created_at', type: 'timestamp' },
+    type: { expression: 'lower(f.name)', type: 'text' }
+  }
+};
+
+// Paginated folder listings. Pages are cut with keyset cursors (the sort,
+// sort value and id of the last item sent), so rows added or removed while a
+// client pages through don't shift later pages. Totals come from a separate
+// COUNT over the same filters.
+class ListingService {
+  constructor() {
+    this.defaultLimit = 100;
+    this.maxLimit = 1000;
+  }
+
+  // Reads limit, cursor, sort, order, category and foldersFirst from query
+  // parameters. Returns { options }, or { error } when one is invalid.
+  parseListOptions(query) {
+    const { sort = 'date', cursor } = query;
+    const order = query.order || (sort === 'date' ? 'desc' : 'asc');
+
+    let limit = this.defaultLimit;
+    if (query.limit !== undefined) {
+      limit = /^\d+$/.test(query.limit) ? parseInt(query.limit) : 0;
+      if (limit < 1) return { error: 'limit must be a positive number' };
+    }
+
+    if (!LIST_SORTS.includes(sort)) {
+      return { error: 'sort must be one of name, size, date or type' };
+    }
+
+    if (!LIST_ORDERS.includes(order)) {
+      return { error: 'order must be asc or desc' };
+    }
+
+    if (query.category !== undefined && !fileService.getMimeCategoryCondition(query.category)) {
+      return { error: 'category must be one of image, video, audio, document, archive or other' };
+    }
+
+    const decodedCursor = cursor ? this.decodeCursor(cursor) : null;
+    if (cursor && !decodedCursor) {
+      return { error: 'cursor is invalid' };
+    }
+
+    // A cursor's value is only comparable under the sort it was made for
+    if (decodedCursor && (decodedCursor.sort !== sort || decodedCursor.order !== order)) {
+      return { error: 'cursor was made for a different sort or order' };
+    }
+
+    return {
+      options: {
+        limit: Math.min(limit, this.maxLimit),
+        cursor: decodedCursor,
+        sort,
+        order,
+        category: query.category,
+        foldersFirst: query.foldersFirst === 'true'
+      }
+    };
+  }
+
+  encodeCursor(kind, row, sort, order) {
+    return Buffer.from(JSON.stringify({ kind, sort, order, value: row.sort_key, id: row.id })).toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    try {
+      const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+      if (!['file', 'folder'].includes(decoded.kind) || !Number.isInteger(decoded.id) || typeof decoded.value !== 'string') {
+        return null;
+      }
+      return decoded;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Files in folderId (the user's root when null), plus its subfolders ahead
+  // of them with foldersFirst. Resolves to { files, folders, nextCursor,
+  // total }; nextCursor is null on the last page.
+  async listFiles(userId, folderId, { limit, cursor, sort, order, category, foldersFirst }) {
+    let folders = [];
+    let folderTotal = 0;
+
+    if (foldersFirst) {
+      folderTotal = await this.countFolders(userId, folderId);
+
+      // Folders come first, so a file cursor means they have all been sent
+      if (!cursor || cursor.kind === 'folder') {
+        folders = await this.queryFolders(userId, folderId, { limit: limit + 1, cursor, sort, order });
+      }
+    }
+
+    let files = [];
+    if (folders.length <= limit) {
+      const fileCursor = cursor && cursor.kind === 'file' ? cursor : null;
+      files = await this.queryFiles(userId, folderId, { limit: limit + 1 - folders.length, cursor: fileCursor, sort, order, category });
+    }
+
+    const fileTotal = await this.countFiles(userId, folderId, category);
+    const page = this.cutPage([
+      ...folders.map(row => ({ kind: 'folder', row })),
+      ...files.map(row => ({ kind: 'file', row }))
+    ], limit, sort, order);
+
+    return {
+      files: page.items.filter(item => item.kind === 'file').map(item => item.row),
+      folders: page.items.filter(item => item.kind === 'folder').map(item => item.row),
+      nextCursor: page.nextCursor,
+      total: fileTotal + folderTotal
+    };
+  }
+
+  // Subfolders of parentFolderId (the user's root when null). Resolves to
+  // { folders, nextCursor, total }.
+  async listFolders(userId, parentFolderId, { limit, cursor, sort, order }) {
+    const folderCursor = cursor && cursor.kind === 'folder' ? cursor : null;
+    const rows = await this.queryFolders(userId, parentFolderId, { limit: limit + 1, cursor: folderCursor, sort, order });
+    const page = this.cutPage(rows.map(row => ({ kind: 'folder', row })), limit, sort, order);
+
+    return {
+      folders: page.items.map(item => item.row),
+      nextCursor: page.nextCursor,
+      total: await this.countFolders(userId, parentFolderId)
+    };
+  }
+
+  // Keeps the first limit of items fetched one past it, with the cursor of
+  // the last one kept when there are more. The sort_key helper column is
+  // dropped from the rows.
+  cutPage(items, limit, sort, order) {
+    const pageItems = items.slice(0, limit);
+    const last = pageItems[pageItems.length - 1];
+    const nextCursor = items.length > limit ? this.encodeCursor(last.kind, last.row, sort, order) : null;
+
+    return {
+      items: pageItems.map(({ kind, row }) => {
+        const rest = { ...row };
+        delete rest.sort_key;
+        return { kind, row: rest };
+      }),
+      nextCursor
+    };
+  }
+
+  // Condition continuing after cursor in the sort order, with its params
+  // numbered from firstParam
+  getCursorCondition(sortKey, order, cursor, firstParam) {
+    if (!cursor) return null;
+
+    const comparison = order === 'asc' ? '>' : '<';
+    return {
+      condition: `(${sortKey.expression}, f.id) ${comparison} ($${firstParam}::${sortKey.type}, $${firstParam + 1}::int)`,
+      params: [cursor.value, cursor.id]
+    };
+  }
+
+  getFileConditions(userId, folderId, category) {
+    const conditions = ['(f.user_id = $1 OR p.shared_with_user_id = $1)', 'f.deleted_at IS NULL'];
+    const params = [userId];
+
+    if (folderId) {
+      params.push(folderId);
+      conditions.push(`f.folder_id = $${params.length}`);
+    } else {
+      conditions.push('f.folder_id IS NULL');
+    }
+
+    if (category) {
+      conditions.push(fileService.getMimeCategoryCondition(category));
+    }
+
+    return { conditions, params };
+  }
+
+  async queryFiles(userId, folderId, { limit, cursor, sort, order, category }) {
+    const sortKey = SORT_KEYS.file[sort];
+    const { conditions, params } = this.getFileConditions(userId, folderId, category);
+
+    const cursorCondition = this.getCursorCondition(sortKey, order, cursor, params.length + 1);
+    if (cursorCondition) {
+      conditions.push(cursorCondition.condition);
+      params.push(...cursorCondition.params);
+    }
+
+    params.push(limit);
+    const result = await pool.query(`
+      SELECT f.*,
+             CASE WHEN f.user_id = $1 THEN 'owner' ELSE p.permission_type END as access_level,
+             ${tagService.getTagsColumn('file', 'f.id')} as tags,
+             ${starService.getStarredColumn('file', 'f.id')} as starred,
+             (${sortKey.expression})::text as sort_key
+      FROM files f
+      LEFT JOIN permissions p ON f.folder_id = p.folder_id AND p.shared_with_user_id = $1
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY ${sortKey.expression} ${order}, f.id ${order}
+      LIMIT $${params.length}
+    `, params);
+
+    return result.rows;
+  }
+
+  async countFiles(userId, folderId, category) {
+    const { conditions, params } = this.getFileConditions(userId, folderId, category);
+
+    const result = await pool.query(`
+      SELECT COUNT(*) as count
+      FROM files f
+      LEFT JOIN permissions p ON f.folder_id = p.folder_id AND p.shared_with_user_id = $1
+      WHERE ${conditions.join(' AND ')}
+    `, params);
+
+    return parseInt(result.rows[0].count);
+  }
+
+  getFolderConditions(userId, parentFolderId) {
+    const conditions = ['(f.user_id = $1 OR p.shared_with_user_id = $1)'];
+    const params = [userId];
+
+    if (parentFolderId) {
+      params.push(parentFolderId);
+      conditions.push(`f.parent_folder_id = $${params.length}`);
+    } else {
+      conditions.push('f.parent_folder_id IS NULL');
+    }
+
+    return { conditions, params };
+  }
+
+  async queryFolders(userId, parentFolderId, { limit, cursor, sort, order }) {
+    const sortKey = SORT_KEYS.folder[sort];
+    const { conditions, params } = this.getFolderConditions(userId, parentFolderId);
+
+    const cursorCondition = this.getCursorCondition(sortKey, order, cursor, params.length + 1);
+    if (cursorCondition) {
+      conditions.push(cursorCondition.condition);
+      params.push(...cursorCondition.params);
+    }
+
+    // Counts come from subqueries so only the page's folders are counted
+    params.push(limit);
+    const result = await pool.query(`
+      SELECT f.*,
+             CASE WHEN f.user_id = $1 THEN 'owner' ELSE p.permission_type END as access_level,
+             (SELECT COUNT(*) FROM folders sub WHERE sub.parent_folder_id = f.id) as subfolder_count,
+             (SELECT COUNT(*) FROM files WHERE files.folder_id = f.id) as file_count,
+             ${tagService.getTagsColumn('folder', 'f.id')} as tags,
+             ${starService.getStarredColumn('folder', 'f.id')} as starred,
+             (${sortKey.expression})::text as sort_key
+      FROM folders f
+      LEFT JOIN permissions p ON f.id = p.folder_id AND p.shared_with_user_id = $1
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY ${sortKey.expression} ${order}, f.id ${order}
+      LIMIT $${params.length}
+    `, params);
+
+    return result.rows;
+  }
+
+  async countFolders(userId, parentFolderId) {
+    const { conditions, params } = this.getFolderConditions(userId, parentFolderId);
+
+    const result = await pool.query(`
+      SELECT COUNT(*) as count
+      FROM folders f
+      LEFT JOIN permissions p ON f.id = p.folder_id AND p.shared_with_user_id = $1
+      WHERE ${conditions.join(' AND ')}
+    `, params);
+
+    return parseInt(result.rows[0].count);
+  }
+}
+
+module.exports = new ListingService();
\ No newline at end of file
@@ -0,0 +1,245 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream');
+const storageProxy = require('./storageProxy');
+
+const createSkipError = (message) => {
+  const error = new Error(message);
+  error.code = 'CACHE_SKIPPED';
+  return error;
+};
+
+// Names of the files the cache writes: the SHA-256 of the object name, with
+// a suffix while the object is being fetched
+const ENTRY_NAME = /^[0-9a-f]{64}(\.[0-9a-f-]{36}\.tmp)?$/;
+
+// Keeps recently served objects (thumbnails, previews, small downloads) on
+// local disk so repeat requests don't go back to Backblaze. Entries are keyed
+// by B2 file name and evicted least recently used first once the cache
+// outgrows maxSize. Concurrent misses for the same object share one fetch.
+// The index lives in memory, so entries left in the directory are removed on
+// startup. Nothing else in it is touched, as OBJECT_CACHE_DIR may point at a
+// directory shared with other files.
+class ObjectCache {
+  constructor() {
+    this.cacheDir = process.env.OBJECT_CACHE_DIR || path.join(os.tmpdir(), 'bytecloud-cache');
+    this.maxSize = parseInt(process.env.OBJECT_CACHE_MAX_SIZE) || 1024 * 1024 * 1024; // 1GB
+    this.maxObjectSize = parseInt(process.env.OBJECT_CACHE_MAX_OBJECT_SIZE) || 50 * 1024 * 1024; // Larger objects are streamed straight through
+    this.fillTimeoutMs = parseInt(process.env.OBJECT_CACHE_FILL_TIMEOUT_MS) || 2 * 60 * 1000;
+
+    // fileName -> { path, size }, least recently used first
+    this.entries = new Map();
+    this.totalSize = 0;
+    // fileName -> promise of the entry being fetched
+    this.fills = new Map();
+    // Fills invalidated while in progress, whose result mustn't be kept
+    this.staleFills = new Set();
+    this.ready = null;
+
+    this.stats = { hits: 0, misses: 0, bypassed: 0, fills: 0, fillErrors: 0, evictions: 0, invalidations: 0 };
+  }
+
+  prepare() {
+    if (!this.ready) {
+      this.ready = (async () => {
+        await fs.promises.mkdir(this.cacheDir, { recursive: true });
+
+        for (const name of await fs.promises.readdir(this.cacheDir)) {
+          if (ENTRY_NAME.test(name)) {
+            await fs.promises.rm(path.join(this.cacheDir, name), { force: true });
+          }
+        }
+      })();
+    }
+    return this.ready;
+  }
+
+  getPath(fileName) {
+    return path.join(this.cacheDir, crypto.createHash('sha256').update(fileName).digest('hex'));
+  }
+
+  // Resolves to the cached { path, size } of fileName, fetching it first on
+  // a miss. Rejects with the storage proxy's error when the object can't be
+  // fetched, or with code CACHE_SKIPPED when it's too large to cache.
+  async get(fileName) {
+    const entry = this.entries.get(fileName);
+    if (entry) {
+      // Re-inserting moves the entry to the most recently used end
+      this.entries.delete(fileName);
+      this.entries.set(fileName, entry);
+      this.stats.hits++;
+      return entry;
+    }
+
+    this.stats.misses++;
+
+    if (!this.fills.has(fileName)) {
+      const fill = this.fill(fileName).finally(() => {
+        this.fills.delete(fileName);
+        this.staleFills.delete(fileName);
+      });
+      this.fills.set(fileName, fill);
+    }
+    return this.fills.get(fileName);
+  }
+
+  async fill(fileName) {
+    await this.prepare();
+
+    const entryPath = this.getPath(fileName);
+    const tempPath = `${entryPath}.${crypto.randomUUID()}.tmp`;
+
+    // Not tied to any one request: other requests may be waiting on it
+    const download = await storageProxy.open(fileName);
+    const contentLength = parseInt(download.headers['content-length']);
+    if (contentLength > this.maxObjectSize) {
+      download.stream.destroy();
+      throw createSkipError('Object is too large to cache');
+    }
+
+    // A stalled fill would hold up every request waiting on it
+    const timer = setTimeout(() => {
+      download.stream.destroy(new Error('Timed out caching object'));
+    }, this.fillTimeoutMs);
+
+    let size = 0;
+    download.stream.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > this.maxObjectSize) {
+        download.stream.destroy(createSkipError('Object is too large to cache'));
+      }
+    });
+
+    try {
+      await new Promise((resolve, reject) => {
+        pipeline(download.stream, fs.createWriteStream(tempPath), (error) => (error ? reject(error) : resolve()));
+      });
+
+      await fs.promises.rename(tempPath, entryPath);
+    } catch (error) {
+      await fs.promises.unlink(tempPath).catch(() => {});
+      if (error.code !== 'CACHE_SKIPPED') this.stats.fillErrors++;
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (this.staleFills.has(fileName)) {
+      await fs.promises.unlink(entryPath).catch(() => {});
+      throw createSkipError('Object was invalidated while it was being cached');
+    }
+
+    const entry = { path: entryPath, size };
+    this.entries.set(fileName, entry);
+    this.totalSize += size;
+    this.stats.fills++;
+
+    this.evict();
+    return entry;
+  }
+
+  // Drops least recently used entries until the cache fits in maxSize
+  evict() {
+    for (const [fileName, entry] of this.entries) {
+      if (this.totalSize <= this.maxSize) break;
+
+      this.remove(fileName, entry);
+      this.stats.evictions++;
+    }
+  }
+
+  remove(fileName, entry) {
+    this.entries.delete(fileName);
+    this.totalSize -= entry.size;
+
+    // Requests still reading the file keep their open handle
+    fs.promises.unlink(entry.path).catch((error) => {
+      if (error.code !== 'ENOENT') console.error('Failed to remove cached object:', error);
+    });
+  }
+
+  // Forgets fileName, including a fetch that is still in progress. Called
+  // when the object is deleted or replaced.
+  invalidate(fileName) {
+    if (!fileName) return;
+
+    if (this.fills.has(fileName)) {
+      this.staleFills.add(fileName);
+    }
+
+    const entry = this.entries.get(fileName);
+    if (entry) {
+      this.remove(fileName, entry);
+      this.stats.invalidations++;
+    }
+  }
+
+  // Serves fileName like storageProxy.pipe, from the cache when the object is
+  // small enough. size is the object's size when the route knows it; objects
+  // larger than maxObjectSize bypass the cache.
+  async pipe(req, res, options) {
+    const { fileName, range = null, size, errorMessage = 'Failed to load file' } = options;
+
+    if (size > this.maxObjectSize) {
+      this.stats.bypassed++;
+      return storageProxy.pipe(req, res, options);
+    }
+
+    let handle;
+    try {
+      const entry = await this.get(fileName);
+      handle = await fs.promises.open(entry.path);
+    } catch (error) {
+      if (error.code === 'CACHE_SKIPPED' || error.code === 'ENOENT') {
+        // Too large after all, or evicted before it could be opened
+        this.stats.bypassed++;
+        return storageProxy.pipe(req, res, options);
+      }
+
+      console.error(`Object cache error for ${fileName}:`, error.message);
+      return storageProxy.sendError(res, error, errorMessage);
+    }
+
+    if (res.destroyed) {
+      await handle.close();
+      return;
+    }
+
+    const { size: cachedSize } = await handle.stat();
+    if (range) {
+      res.status(206);
+      res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${cachedSize}`);
+      res.setHeader('Content-Length', range.end - range.start + 1);
+    } else {
+      res.setHeader('Content-Length', cachedSize);
+    }
+
+    const stream = handle.createReadStream(range ? { start: range.start, end: range.end } : {});
+    await new Promise((resolve) => {
+      pipeline(stream, res, (error) => {
+        if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+          console.error(`Object cache stream error for ${fileName}:`, error.message);
+        }
+        resolve();
+      });
+    });
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+
+    return {
+      ...this.stats,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : null,
+      entries: this.entries.size,
+      size: this.totalSize,
+      maxSize: this.maxSize,
+      maxObjectSize: this.maxObjectSize,
+      filling: this.fills.size
+    };
+  }
+}
+
+module.exports = new ObjectCache();
\ No newline at end of file
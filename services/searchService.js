@@ -0,0 +1,152 @@
+const { pool } = require('../config/database');
+const fileService = require('./fileService');
+const folderService = require('./folderService');
+const tagService = require('./tagService');
+const starService = require('./starService');
+const contentIndexService = require('./contentIndexService');
+
+const escapeLikePattern = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+// Finds files and folders by name and metadata across everything the user
+// can see: what they own, and what is in folders shared with them (the same
+// owner/permissions join the list routes use). Names match on substrings and
+// on pg_trgm similarity, so typos still find things; files also match on
+// their indexed contents (see contentIndexService).
+class SearchService {
+  constructor() {
+    this.defaultLimit = 50;
+    this.maxLimit = 200;
+  }
+
+  // Runs a search for userId. filters (all optional):
+  // - query: text to match names against
+  // - type: 'file' or 'folder' to search only one kind
+  // - category: MIME category of files (see fileService)
+  // - minSize, maxSize: file size range in bytes
+  // - from, to: Date range of when items were created
+  // - ownerId: only items owned by this user
+  // - scope: 'mine' for the user's own items, 'shared' for items shared with
+  //   them
+  // - tagId: only items carrying this tag
+  // - limit, offset: the page of results to return
+  // Resolves to results ranked by relevance (most recently updated first
+  // without a query), each with its folder path. Files found by their
+  // contents carry a snippet of the matching text.
+  async search(userId, { query, type, category, minSize, maxSize, from, to, ownerId, scope, tagId, limit, offset = 0 }) {
+    const params = [userId];
+    const addParam = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    // Name matching shared by files and folders, on the alias f, built for
+    // the table's name column. Contents are matched on file_contents fc.
+    let nameMatch = null;
+    let rank = () => '0';
+    let content = { condition: 'FALSE', rank: '0' };
+    if (query) {
+      const queryParam = addParam(query);
+      const containsParam = addParam(`%${escapeLikePattern(query)}%`);
+      const prefixParam = addParam(`${escapeLikePattern(query)}%`);
+
+      nameMatch = (name) => `(f.${name} ILIKE ${containsParam} OR f.${name} % ${queryParam})`;
+      content = contentIndexService.getSearchExpressions(queryParam);
+      // Exact and prefix matches outrank fuzzy ones
+      rank = (name) => `(CASE
+        WHEN lower(f.${name}) = lower(${queryParam}) THEN 3
+        WHEN f.${name} ILIKE ${prefixParam} THEN 2
+        WHEN f.${name} ILIKE ${containsParam} THEN 1
+        ELSE 0
+      END + similarity(f.${name}, ${queryParam}))`;
+    }
+
+    const common = [];
+    if (from) common.push(`f.created_at >= ${addParam(from)}`);
+    if (to) common.push(`f.created_at <= ${addParam(to)}`);
+    if (ownerId) common.push(`f.user_id = ${addParam(ownerId)}`);
+    if (scope === 'mine') common.push('f.user_id = $1');
+    if (scope === 'shared') common.push('f.user_id <> $1');
+
+    // Tag filters, one per kind of item
+    const tagParam = tagId ? addParam(tagId) : null;
+
+    // Filters that only describe files leave folders out
+    const fileOnly = [];
+    if (category) fileOnly.push(fileService.getMimeCategoryCondition(category));
+    if (minSize !== undefined) fileOnly.push(`f.size >= ${addParam(minSize)}`);
+    if (maxSize !== undefined) fileOnly.push(`f.size <= ${addParam(maxSize)}`);
+
+    const selects = [];
+
+    if (type !== 'folder') {
+      const conditions = [
+        '(f.user_id = $1 OR p.shared_with_user_id = $1)',
+        'f.deleted_at IS NULL',
+        ...(nameMatch ? [`(${nameMatch('original_name')} OR ${content.condition})`] : []),
+        ...common,
+        ...(tagParam ? [`EXISTS (SELECT 1 FROM file_tags ft WHERE ft.file_id = f.id AND ft.tag_id = ${tagParam})`] : []),
+        ...fileOnly
+      ];
+      selects.push(`
+        SELECT 'file' AS type, f.id, f.original_name AS name, f.mime_type, f.size, f.has_thumbnail,
+               f.folder_id, f.user_id, u.name AS owner_name, f.created_at, f.updated_at,
+               CASE WHEN f.user_id = $1 THEN 'owner' ELSE p.permission_type END AS access_level,
+               ${tagService.getTagsColumn('file', 'f.id')} AS tags,
+               ${starService.getStarredColumn('file', 'f.id')} AS starred,
+               ${content.condition} AS content_match,
+               ${rank('original_name')} + ${content.rank} AS rank
+        FROM files f
+        JOIN users u ON u.id = f.user_id
+        LEFT JOIN permissions p ON f.folder_id = p.folder_id AND p.shared_with_user_id = $1
+        LEFT JOIN file_contents fc ON fc.file_id = f.id
+        WHERE ${conditions.join(' AND ')}
+      `);
+    }
+
+    if (type !== 'file' && fileOnly.length === 0) {
+      const conditions = [
+        '(f.user_id = $1 OR p.shared_with_user_id = $1)',
+        ...(nameMatch ? [nameMatch('name')] : []),
+        ...common,
+        ...(tagParam ? [`EXISTS (SELECT 1 FROM folder_tags dt WHERE dt.folder_id = f.id AND dt.tag_id = ${tagParam})`] : [])
+      ];
+      selects.push(`
+        SELECT 'folder' AS type, f.id, f.name, NULL AS mime_type, NULL AS size, FALSE AS has_thumbnail,
+               f.parent_folder_id AS folder_id, f.user_id, u.name AS owner_name, f.created_at, f.updated_at,
+               CASE WHEN f.user_id = $1 THEN 'owner' ELSE p.permission_type END AS access_level,
+               ${tagService.getTagsColumn('folder', 'f.id')} AS tags,
+               ${starService.getStarredColumn('folder', 'f.id')} AS starred,
+               FALSE AS content_match,
+               ${rank('name')} AS rank
+        FROM folders f
+        JOIN users u ON u.id = f.user_id
+        LEFT JOIN permissions p ON f.id = p.folder_id AND p.shared_with_user_id = $1
+        WHERE ${conditions.join(' AND ')}
+      `);
+    }
+
+    if (selects.length === 0) return [];
+
+    const pageLimit = Math.min(limit || this.defaultLimit, this.maxLimit);
+    const result = await pool.query(`
+      SELECT * FROM (${selects.join(' UNION ALL ')}) results
+      ORDER BY rank DESC, updated_at DESC, type, id
+      LIMIT ${addParam(pageLimit)} OFFSET ${addParam(offset)}
+    `, params);
+
+    const folderIds = [...new Set(result.rows.map(row => row.folder_id).filter(id => id !== null))];
+    const folderPaths = await folderService.getFolderPaths(userId, folderIds);
+
+    // Snippets are only built for the page being returned
+    const contentMatches = result.rows.filter(row => row.type === 'file' && row.content_match).map(row => row.id);
+    const snippets = await contentIndexService.getSnippets(contentMatches, query);
+
+    return result.rows.map(row => ({
+      ...row,
+      folder_path: row.folder_id === null ? [] : folderPaths.get(row.folder_id) || [],
+      snippet: row.type === 'file' ? snippets.get(row.id) || null : null
+    }));
+  }
+}
+
+module.exports = new SearchService();
\ No newline at end of file
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+
+const SIGNED_ACTIONS = ['download', 'view', 'thumbnail'];
+
+// Short-lived URLs for the file routes that browsers load directly (links,
+// <img> and <video> tags, EventSource), so session tokens never end up in
+// query strings. Each signature covers one file (or upload job, passed as
+// fileId), one action, the user it was issued to and its expiry time.
+class SignedUrlService {
+  constructor() {
+    this.defaultTtlSeconds = parseInt(process.env.SIGNED_URL_TTL_SECONDS) || 5 * 60;
+    this.maxTtlSeconds = 15 * 60;
+    this.actions = SIGNED_ACTIONS;
+  }
+
+  getSecret() {
+    return process.env.SIGNED_URL_SECRET || process.env.JWT_SECRET;
+  }
+
+  sign({ fileId, action, userId, expires }) {
+    return crypto
+      .createHmac('sha256', this.getSecret())
+      .update(`${fileId}:${action}:${userId}:${expires}`)
+      .digest('hex');
+  }
+
+  // Query parameters that authorize action on the file for ttlSeconds
+  // (capped at maxTtlSeconds)
+  createQuery({ fileId, action, userId, ttlSeconds = this.defaultTtlSeconds }) {
+    const lifetime = Math.min(Math.max(parseInt(ttlSeconds) || this.defaultTtlSeconds, 1), this.maxTtlSeconds);
+    const expires = Math.floor(Date.now() / 1000) + lifetime;
+
+    return {
+      expires,
+      user: userId,
+      signature: this.sign({ fileId, action, userId, expires })
+    };
+  }
+
+  // Returns the id of the user a signed request was issued to, or null when
+  // the signature is missing, doesn't match or has expired
+  verify({ fileId, action, query }) {
+    const { expires, user, signature } = query;
+    if (!expires || !user || typeof signature !== 'string') return null;
+    if (Number(expires) < Date.now() / 1000) return null;
+
+    const expected = Buffer.from(this.sign({ fileId, action, userId: user, expires }), 'hex');
+    const provided = Buffer.from(signature, 'hex');
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) return null;
+
+    return parseInt(user);
+  }
+}
+
+module.exports = new SignedUrlService();
\ No newline at end of file
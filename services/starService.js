@@ -0,0 +1,85 @@
+const { pool } = require('../config/database');
+const folderService = require('./folderService');
+
+// Tables holding each kind of star
+const STAR_TABLES = {
+  file: { table: 'file_stars', column: 'file_id' },
+  folder: { table: 'folder_stars', column: 'folder_id' }
+};
+
+// Starred files and folders. Stars are personal: each user stars any item
+// they can see, and only they see it starred.
+class StarService {
+  // Boolean expression telling whether the item whose id is idColumn is
+  // starred by the user in userParam
+  getStarredColumn(kind, idColumn, userParam = '$1') {
+    const { table, column } = STAR_TABLES[kind];
+
+    return `EXISTS (SELECT 1 FROM ${table} s WHERE s.${column} = ${idColumn} AND s.user_id = ${userParam})`;
+  }
+
+  // Stars an item the user has already been checked to see. Starring it again
+  // keeps the original star.
+  async star(userId, kind, itemId) {
+    const { table, column } = STAR_TABLES[kind];
+
+    await pool.query(
+      `INSERT INTO ${table} (user_id, ${column}) VALUES ($1, $2) ON CONFLICT DO NOTHING`,
+      [userId, itemId]
+    );
+  }
+
+  // Removes the user's star from an item, whether or not they can still see
+  // it. Resolves to whether there was one.
+  async unstar(userId, kind, itemId) {
+    const { table, column } = STAR_TABLES[kind];
+
+    const result = await pool.query(
+      `DELETE FROM ${table} WHERE user_id = $1 AND ${column} = $2`,
+      [userId, itemId]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  // The user's starred files and folders they can still see, most recently
+  // starred first, each with its folder path. Stars on trashed files are kept
+  // for when they are restored.
+  async listStarred(userId) {
+    const files = await pool.query(`
+      SELECT f.*,
+             CASE WHEN f.user_id = $1 THEN 'owner' ELSE p.permission_type END as access_level,
+             s.created_at as starred_at
+      FROM file_stars s
+      JOIN files f ON f.id = s.file_id
+      LEFT JOIN permissions p ON f.folder_id = p.folder_id AND p.shared_with_user_id = $1
+      WHERE s.user_id = $1 AND (f.user_id = $1 OR p.shared_with_user_id = $1) AND f.deleted_at IS NULL
+      ORDER BY s.created_at DESC, f.id
+    `, [userId]);
+
+    const folders = await pool.query(`
+      SELECT f.*,
+             CASE WHEN f.user_id = $1 THEN 'owner' ELSE p.permission_type END as access_level,
+             s.created_at as starred_at
+      FROM folder_stars s
+      JOIN folders f ON f.id = s.folder_id
+      LEFT JOIN permissions p ON f.id = p.folder_id AND p.shared_with_user_id = $1
+      WHERE s.user_id = $1 AND (f.user_id = $1 OR p.shared_with_user_id = $1)
+      ORDER BY s.created_at DESC, f.id
+    `, [userId]);
+
+    const folderIds = [...new Set([
+      ...files.rows.map(row => row.folder_id),
+      ...folders.rows.map(row => row.parent_folder_id)
+    ].filter(id => id !== null))];
+    const folderPaths = await folderService.getFolderPaths(userId, folderIds);
+    const pathOf = (folderId) => (folderId === null ? [] : folderPaths.get(folderId) || []);
+
+    return {
+      files: files.rows.map(row => ({ ...row, starred: true, folder_path: pathOf(row.folder_id) })),
+      folders: folders.rows.map(row => ({ ...row, starred: true, folder_path: pathOf(row.parent_folder_id) }))
+    };
+  }
+}
+
+module.exports = new StarService();
\ No newline at end of file
@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const { pipeline } = require('stream');
+const backblazeService = require('../config/backblaze');
+
+// Failures worth another attempt: B2 reports "service busy" as 503, and
+// network errors before the response arrives are usually transient
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+
+const createProxyError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = 'STORAGE_UNAVAILABLE';
+  return error;
+};
+
+// Resolves after ms, or early when signal aborts
+const wait = (ms, signal) => new Promise((resolve) => {
+  const timer = setTimeout(resolve, ms);
+  if (signal) {
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  }
+});
+
+// Streams stored objects to clients. Objects are opened through the storage
+// service, transient failures are retried with backoff until the first byte
+// is sent, client aborts cancel the upstream request, and every transfer is
+// recorded for getMetrics().
+class StorageProxy {
+  constructor() {
+    this.maxAttempts = parseInt(process.env.STORAGE_PROXY_MAX_ATTEMPTS) || 3;
+    this.timeoutMs = parseInt(process.env.STORAGE_PROXY_TIMEOUT_MS) || 60000;
+    this.retryBaseDelayMs = 250;
+    this.maxRetryDelayMs = 5000;
+    this.recentTransferLimit = 100;
+
+    this.activeTransfers = new Map();
+    this.recentTransfers = [];
+    this.totals = { started: 0, completed: 0, aborted: 0, failed: 0, retries: 0, bytesSent: 0 };
+  }
+
+  isRetryable(error, status) {
+    if (status) return RETRYABLE_STATUSES.includes(status) || status === 401;
+    return RETRYABLE_ERROR_CODES.includes(error.code);
+  }
+
+  // Exponential backoff with jitter, or what B2 asks for in Retry-After
+  getRetryDelay(attempt, response) {
+    const retryAfter = response && parseInt(response.headers['retry-after']);
+    if (retryAfter > 0) return Math.min(retryAfter * 1000, this.maxRetryDelayMs);
+
+    const delay = this.retryBaseDelayMs * 2 ** (attempt - 1);
+    return Math.min(delay / 2 + Math.random() * delay / 2, this.maxRetryDelayMs);
+  }
+
+  // Opens fileName, retrying transient failures. Resolves to
+  // { status, headers, stream, attempts }; rejects with an error carrying the
+  // status to answer the client with.
+  async open(fileName, { range = null, signal, onRetry } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const download = await backblazeService.openDownload(fileName, { range, signal, timeoutMs: this.timeoutMs });
+        return { ...download, attempts: attempt };
+      } catch (error) {
+        const response = error.response;
+        const status = response ? response.status : null;
+
+        // Error bodies arrive as streams too
+        if (response && response.data && typeof response.data.destroy === 'function') {
+          response.data.destroy();
+        }
+
+        if (status === 401) {
+          backblazeService.invalidateAuthorization();
+        }
+
+        if (signal && signal.aborted) throw error;
+
+        if (!this.isRetryable(error, status) || attempt >= this.maxAttempts) {
+          if (status === 404) throw createProxyError('Stored object not found', 404);
+          if (status === 416) throw createProxyError('Requested range not satisfiable', 416);
+          if (!status && error.code === 'ECONNABORTED') throw createProxyError('Storage request timed out', 504);
+          throw createProxyError(`Storage request failed: ${error.message}`, 502);
+        }
+
+        this.totals.retries++;
+        if (onRetry) onRetry(attempt, error);
+        await wait(this.getRetryDelay(attempt, response), signal);
+      }
+    }
+  }
+
+  // Streams fileName into res. The route sets its own content headers first;
+  // the status, Content-Length and Content-Range (for a served range of an
+  // object of size bytes) are forwarded from storage. Failures before
+  // anything is sent are answered with errorMessage, later ones abort the
+  // response. Resolves once the transfer is over.
+  async pipe(req, res, { fileName, range = null, size, label, errorMessage = 'Failed to load file' }) {
+    const controller = new AbortController();
+    const transfer = this.startTransfer(label, range);
+
+    const onClose = () => {
+      if (!res.writableFinished) controller.abort();
+    };
+    res.on('close', onClose);
+
+    let download;
+    try {
+      download = await this.open(fileName, {
+        range,
+        signal: controller.signal,
+        onRetry: () => transfer.retries++
+      });
+    } catch (error) {
+      res.removeListener('close', onClose);
+
+      if (controller.signal.aborted) {
+        this.endTransfer(transfer, res, 'aborted');
+        return;
+      }
+
+      console.error(`Storage proxy ${label} error for ${fileName}:`, error.message);
+      this.sendError(res, error, errorMessage);
+      this.endTransfer(transfer, res, 'failed', error);
+      return;
+    }
+
+    transfer.attempts = download.attempts;
+    transfer.upstreamStatus = download.status;
+
+    if (range && download.status === 206) {
+      res.status(206);
+      res.setHeader('Content-Range', download.headers['content-range'] || `bytes ${range.start}-${range.end}/${size}`);
+    }
+    if (download.headers['content-length']) {
+      res.setHeader('Content-Length', download.headers['content-length']);
+    }
+
+    download.stream.on('data', (chunk) => {
+      transfer.bytes += chunk.length;
+    });
+
+    await new Promise((resolve) => {
+      pipeline(download.stream, res, (error) => {
+        res.removeListener('close', onClose);
+
+        if (!error) {
+          this.endTransfer(transfer, res, 'completed');
+        } else if (controller.signal.aborted || error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+          this.endTransfer(transfer, res, 'aborted');
+        } else {
+          console.error(`Storage proxy ${label} stream error for ${fileName}:`, error.message);
+          this.endTransfer(transfer, res, 'failed', error);
+        }
+        resolve();
+      });
+    });
+  }
+
+  // Answers a request whose object couldn't be opened with the status open()
+  // rejected with
+  sendError(res, error, errorMessage) {
+    if (res.headersSent) return;
+
+    // The headers the route set describe the object, not the error
+    for (const header of ['Content-Type', 'Content-Length', 'Content-Disposition', 'Accept-Ranges', 'ETag', 'Last-Modified', 'Cache-Control']) {
+      res.removeHeader(header);
+    }
+    res.status(error.status || 502).json({ error: error.status === 404 ? 'File content not found' : errorMessage });
+  }
+
+  startTransfer(label, range) {
+    const transfer = {
+      id: crypto.randomUUID(),
+      label,
+      ranged: !!range,
+      startedAt: new Date().toISOString(),
+      attempts: 0,
+      retries: 0,
+      upstreamStatus: null,
+      bytes: 0
+    };
+
+    this.totals.started++;
+    this.activeTransfers.set(transfer.id, transfer);
+    return transfer;
+  }
+
+  endTransfer(transfer, res, outcome, error = null) {
+    this.activeTransfers.delete(transfer.id);
+
+    transfer.outcome = outcome;
+    transfer.status = res.statusCode;
+    transfer.durationMs = Date.now() - Date.parse(transfer.startedAt);
+    if (error) transfer.error = error.message;
+
+    this.totals[outcome]++;
+    this.totals.bytesSent += transfer.bytes;
+
+    this.recentTransfers.push(transfer);
+    if (this.recentTransfers.length > this.recentTransferLimit) {
+      this.recentTransfers.shift();
+    }
+  }
+
+  // Totals since startup, transfers in progress and the most recent ones
+  getMetrics() {
+    const now = Date.now();
+
+    return {
+      totals: { ...this.totals, active: this.activeTransfers.size },
+      active: [...this.activeTransfers.values()].map(transfer => ({
+        ...transfer,
+        durationMs: now - Date.parse(transfer.startedAt)
+      })),
+      recent: [...this.recentTransfers].reverse()
+    };
+  }
+}
+
+module.exports = new StorageProxy();
\ No newline at end of file
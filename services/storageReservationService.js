@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+
+const formatBytes = (bytes) => {
+  const gb = bytes / (1024 * 1024 * 1024);
+  return gb >= 1 ? `${gb.toFixed(2)}GB` : `${(bytes / (1024 * 1024)).toFixed(2)}MB`;
+};
+
+// Quota is held for an upload before its bytes are transferred, so parallel
+// uploads can't each pass the check and overshoot it together. Reserved bytes
+// count against the quota until they are committed to storage_used or
+// released.
+class StorageReservationService {
+  constructor() {
+    this.reservationTtlMinutes = parseInt(process.env.STORAGE_RESERVATION_TTL_MINUTES) || 120;
+  }
+
+  // Reserves bytes in a single statement; the row lock on the user makes
+  // concurrent reservations queue up. Resolves to { reservation } on success
+  // or { denial } with the status and body the route should respond with.
+  // sizeKey names the size field in the 413 details.
+  async reserve(userId, bytes, { sizeKey = 'fileSize', ttlMinutes = this.reservationTtlMinutes } = {}) {
+    const result = await pool.query(`
+      WITH reserved AS (
+        UPDATE users SET storage_reserved = storage_reserved + $2
+        WHERE id = $1 AND storage_used + storage_reserved + $2 <= storage_quota
+        RETURNING id
+      )
+      INSERT INTO storage_reservations (id, user_id, bytes, expires_at)
+      SELECT $3, id, $2, NOW() + $4 * INTERVAL '1 minute' FROM reserved
+      RETURNING *
+    `, [userId, bytes, crypto.randomUUID(), ttlMinutes]);
+
+    if (result.rows.length > 0) {
+      return { reservation: result.rows[0] };
+    }
+
+    const userResult = await pool.query(
+      'SELECT storage_quota, storage_used, storage_reserved FROM users WHERE id = $1',
+      [userId]
+    );
+
+    if (userResult.rows.length === 0) {
+      return { denial: { status: 404, body: { error: 'User not found' } } };
+    }
+
+    const { storage_quota, storage_used, storage_reserved } = userResult.rows[0];
+    const availableSpace = Math.max(parseInt(storage_quota) - parseInt(storage_used) - parseInt(storage_reserved), 0);
+
+    return {
+      denial: {
+        status: 413,
+        body: {
+          error: 'Insufficient storage space',
+          details: {
+            [sizeKey]: formatBytes(bytes),
+            availableSpace: formatBytes(availableSpace),
+            quotaLimit: formatBytes(parseInt(storage_quota))
+          }
+        }
+      }
+    };
+  }
+
+  // Moves bytes from the reservation into the user's storage_used. Without a
+  // live reservation for userId (none given, or it was swept) the bytes are
+  // charged directly, but only while they fit in the quota; otherwise this
+  // rejects with code QUOTA_EXCEEDED and the caller must undo the upload.
+  async commit(reservationId, userId, bytes) {
+    if (reservationId) {
+      const result = await pool.query(`
+        WITH consumed AS (
+          UPDATE storage_reservations SET bytes = bytes - $2
+          WHERE id = $1 AND user_id = $3 AND bytes >= $2
+          RETURNING user_id
+        )
+        UPDATE users SET storage_reserved = storage_reserved - $2, storage_used = storage_used + $2
+        WHERE id = (SELECT user_id FROM consumed)
+        RETURNING id
+      `, [reservationId, bytes, userId]);
+
+      if (result.rows.length > 0) return;
+    }
+
+    const result = await pool.query(`
+      UPDATE users SET storage_used = storage_used + $1
+      WHERE id = $2 AND storage_used + storage_reserved + $1 <= storage_quota
+      RETURNING id
+    `, [bytes, userId]);
+
+    if (result.rows.length === 0) {
+      const error = new Error('Insufficient storage space');
+      error.status = 413;
+      error.code = 'QUOTA_EXCEEDED';
+      throw error;
+    }
+  }
+
+  // Gives back bytes committed for content that ended up not being stored
+  async refund(userId, bytes) {
+    await pool.query(
+      'UPDATE users SET storage_used = GREATEST(storage_used - $1, 0) WHERE id = $2',
+      [bytes, userId]
+    );
+  }
+
+  // Gives back whatever is left of a reservation
+  async release(reservationId) {
+    if (!reservationId) return;
+
+    await this.releaseWhere('id = $1', [reservationId]);
+  }
+
+  // Keeps a long-running upload's reservation alive
+  async extend(reservationId, ttlMinutes = this.reservationTtlMinutes) {
+    if (!reservationId) return;
+
+    await pool.query(
+      'UPDATE storage_reservations SET expires_at = NOW() + $1 * INTERVAL \'1 minute\' WHERE id = $2',
+      [ttlMinutes, reservationId]
+    );
+  }
+
+  async releaseWhere(condition, params) {
+    const result = await pool.query(`
+      WITH released AS (
+        DELETE FROM storage_reservations WHERE ${condition}
+        RETURNING user_id, bytes
+      ), totals AS (
+        SELECT user_id, SUM(bytes) AS bytes FROM released GROUP BY user_id
+      )
+      UPDATE users SET storage_reserved = GREATEST(users.storage_reserved - totals.bytes, 0)
+      FROM totals
+      WHERE users.id = totals.user_id
+      RETURNING users.id
+    `, params);
+
+    return result.rows.length;
+  }
+
+  // Clears reservations abandoned by uploads that never finished
+  async sweepExpiredReservations() {
+    try {
+      const usersReleased = await this.releaseWhere('expires_at <= NOW()', []);
+
+      if (usersReleased > 0) {
+        console.log(`🧹 Released abandoned storage reservations for ${usersReleased} users`);
+      }
+    } catch (error) {
+      console.error('Storage reservation sweep error:', error);
+    }
+  }
+}
+
+module.exports = new StorageReservationService();
\ No newline at end of file
@@ -0,0 +1,205 @@
+const { pool } = require('../config/database');
+
+const DEFAULT_TAG_COLOR = '#6b7280';
+const MAX_TAG_NAME_LENGTH = 50;
+
+// Tables linking tags to each kind of item
+const ITEM_TABLES = {
+  file: { table: 'file_tags', column: 'file_id' },
+  folder: { table: 'folder_tags', column: 'folder_id' }
+};
+
+// User-defined tags on files and folders. Each user manages their own tags
+// and attaches them to items they may edit; once attached, a tag shows on
+// the item for everyone who can see it, collaborators included.
+class TagService {
+  // Trimmed tag name, or null when it's empty or too long
+  parseName(name) {
+    if (typeof name !== 'string') return null;
+
+    const trimmed = name.trim();
+    return trimmed && trimmed.length <= MAX_TAG_NAME_LENGTH ? trimmed : null;
+  }
+
+  // Lowercased #rrggbb color, or null when it isn't one
+  parseColor(color) {
+    if (typeof color !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(color)) return null;
+    return color.toLowerCase();
+  }
+
+  // Subquery selecting the tags on the item whose id is idColumn, as a JSON
+  // array of { id, name, color }
+  getTagsColumn(kind, idColumn) {
+    const { table, column } = ITEM_TABLES[kind];
+
+    return `(
+      SELECT COALESCE(json_agg(json_build_object('id', t.id, 'name', t.name, 'color', t.color) ORDER BY t.name), '[]'::json)
+      FROM ${table} it JOIN tags t ON t.id = it.tag_id
+      WHERE it.${column} = ${idColumn}
+    )`;
+  }
+
+  // The user's tags with how many items carry each
+  async listTags(userId) {
+    const result = await pool.query(`
+      SELECT t.*,
+             (SELECT COUNT(*) FROM file_tags ft WHERE ft.tag_id = t.id) as file_count,
+             (SELECT COUNT(*) FROM folder_tags dt WHERE dt.tag_id = t.id) as folder_count
+      FROM tags t
+      WHERE t.user_id = $1
+      ORDER BY lower(t.name)
+    `, [userId]);
+
+    return result.rows;
+  }
+
+  async getTag(userId, tagId) {
+    const result = await pool.query(
+      'SELECT * FROM tags WHERE id = $1 AND user_id = $2',
+      [tagId, userId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  async createTag(userId, { name, color = DEFAULT_TAG_COLOR }) {
+    try {
+      const result = await pool.query(
+        'INSERT INTO tags (user_id, name, color) VALUES ($1, $2, $3) RETURNING *',
+        [userId, name, color]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      throw this.toNameConflict(error, name);
+    }
+  }
+
+  // Renames and/or recolors one of the user's tags. Resolves to the updated
+  // tag, or null when the user has no such tag.
+  async updateTag(userId, tagId, { name, color }) {
+    try {
+      const result = await pool.query(`
+        UPDATE tags SET name = COALESCE($3, name), color = COALESCE($4, color), updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND user_id = $2
+        RETURNING *
+      `, [tagId, userId, name || null, color || null]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      throw this.toNameConflict(error, name);
+    }
+  }
+
+  // Deletes one of the user's tags, and with it every attachment
+  async deleteTag(userId, tagId) {
+    const result = await pool.query(
+      'DELETE FROM tags WHERE id = $1 AND user_id = $2 RETURNING *',
+      [tagId, userId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Tag names are unique per user
+  toNameConflict(error, name) {
+    if (error.code !== '23505') return error;
+
+    const conflict = new Error(`A tag named "${name}" already exists`);
+    conflict.status = 409;
+    conflict.code = 'TAG_CONFLICT';
+    return conflict;
+  }
+
+  // Sorts fileIds and folderIds into the items the user may tag (owner or
+  // edit access), the ones they can see but not edit, and the ones they
+  // can't see at all
+  async getTaggableItems(userId, fileIds, folderIds) {
+    const files = await pool.query(`
+      SELECT f.id, f.original_name as name,
+             CASE WHEN f.user_id = $1 THEN 'owner' ELSE p.permission_type END as access_level
+      FROM files f
+      LEFT JOIN permissions p ON f.folder_id = p.folder_id AND p.shared_with_user_id = $1
+      WHERE f.id = ANY($2::int[]) AND (f.user_id = $1 OR p.shared_with_user_id = $1) AND f.deleted_at IS NULL
+    `, [userId, fileIds]);
+
+    const folders = await pool.query(`
+      SELECT f.id, f.name,
+             CASE WHEN f.user_id = $1 THEN 'owner' ELSE p.permission_type END as access_level
+      FROM folders f
+      LEFT JOIN permissions p ON f.id = p.folder_id AND p.shared_with_user_id = $1
+      WHERE f.id = ANY($2::int[]) AND (f.user_id = $1 OR p.shared_with_user_id = $1)
+    `, [userId, folderIds]);
+
+    const canTag = (item) => item.access_level === 'owner' || item.access_level === 'edit';
+    const describe = (kind) => (item) => ({ type: kind, id: item.id, name: item.name });
+
+    return {
+      files: files.rows.filter(canTag).map(item => item.id),
+      folders: folders.rows.filter(canTag).map(item => item.id),
+      unauthorized: [
+        ...files.rows.filter(item => !canTag(item)).map(describe('file')),
+        ...folders.rows.filter(item => !canTag(item)).map(describe('folder'))
+      ],
+      notFound: {
+        files: fileIds.filter(id => !files.rows.find(item => item.id === parseInt(id))),
+        folders: folderIds.filter(id => !folders.rows.find(item => item.id === parseInt(id)))
+      }
+    };
+  }
+
+  // Attaches tagId to the given file and folder ids, which must already be
+  // known to be taggable. Items that carry it already are left alone.
+  async attachTag(tagId, { files, folders }) {
+    await pool.query(
+      'INSERT INTO file_tags (file_id, tag_id) SELECT unnest($1::int[]), $2 ON CONFLICT DO NOTHING',
+      [files, tagId]
+    );
+    await pool.query(
+      'INSERT INTO folder_tags (folder_id, tag_id) SELECT unnest($1::int[]), $2 ON CONFLICT DO NOTHING',
+      [folders, tagId]
+    );
+  }
+
+  async detachTag(tagId, { files, folders }) {
+    await pool.query('DELETE FROM file_tags WHERE tag_id = $1 AND file_id = ANY($2::int[])', [tagId, files]);
+    await pool.query('DELETE FROM folder_tags WHERE tag_id = $1 AND folder_id = ANY($2::int[])', [tagId, folders]);
+  }
+
+  // Files and folders carrying tagId that the user can see. Resolves to
+  // { tag, files, folders }, or null when the tag is neither the user's nor
+  // on anything they can see.
+  async listTaggedItems(userId, tagId) {
+    const tagResult = await pool.query('SELECT id, user_id, name, color FROM tags WHERE id = $1', [tagId]);
+    if (tagResult.rows.length === 0) return null;
+
+    const files = await pool.query(`
+      SELECT f.*,
+             CASE WHEN f.user_id = $1 THEN 'owner' ELSE p.permission_type END as access_level,
+             ${this.getTagsColumn('file', 'f.id')} as tags
+      FROM files f
+      JOIN file_tags ft ON ft.file_id = f.id AND ft.tag_id = $2
+      LEFT JOIN permissions p ON f.folder_id = p.folder_id AND p.shared_with_user_id = $1
+      WHERE (f.user_id = $1 OR p.shared_with_user_id = $1) AND f.deleted_at IS NULL
+      ORDER BY lower(f.original_name), f.id
+    `, [userId, tagId]);
+
+    const folders = await pool.query(`
+      SELECT f.*,
+             CASE WHEN f.user_id = $1 THEN 'owner' ELSE p.permission_type END as access_level,
+             ${this.getTagsColumn('folder', 'f.id')} as tags
+      FROM folders f
+      JOIN folder_tags dt ON dt.folder_id = f.id AND dt.tag_id = $2
+      LEFT JOIN permissions p ON f.id = p.folder_id AND p.shared_with_user_id = $1
+      WHERE (f.user_id = $1 OR p.shared_with_user_id = $1)
+      ORDER BY lower(f.name), f.id
+    `, [userId, tagId]);
+
+    const tag = tagResult.rows[0];
+    if (tag.user_id !== userId && files.rows.length === 0 && folders.rows.length === 0) return null;
+
+    return { tag, files: files.rows, folders: folders.rows };
+  }
+}
+
+module.exports = new TagService();
\ No newline at end of file
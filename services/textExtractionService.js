@@ -0,0 +1,123 @@
+const yauzl = require('yauzl');
+const pdfParse = require('pdf-parse');
+
+const PDF_MIME_TYPE = 'application/pdf';
+
+// Office Open XML documents are ZIP archives of XML parts. For each type:
+// the parts holding its text, the element wrapping runs of text and the
+// elements ending a paragraph (or cell).
+const OFFICE_DOCUMENTS = {
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': {
+    parts: /^word\/(document|header\d*|footer\d*|footnotes|endnotes)\.xml$/,
+    text: 'w:t',
+    paragraph: 'w:p'
+  },
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': {
+    parts: /^xl\/(sharedStrings|worksheets\/sheet\d+)\.xml$/,
+    text: 't',
+    paragraph: 'si|is'
+  },
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': {
+    parts: /^ppt\/(slides\/slide|notesSlides\/notesSlide)\d+\.xml$/,
+    text: 'a:t',
+    paragraph: 'a:p'
+  }
+};
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeXmlEntities = (value) => value.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (entity, name) => {
+  if (!name.startsWith('#')) return XML_ENTITIES[name] || entity;
+
+  const codePoint = name.startsWith('#x') ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+  return codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : entity;
+});
+
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Pulls the plain text out of text files, PDFs and Word, Excel and
+// PowerPoint documents for full-text search. Everything is parsed in
+// JavaScript, so there is nothing to install on the server.
+class TextExtractionService {
+  constructor() {
+    this.maxTextLength = parseInt(process.env.CONTENT_INDEX_MAX_TEXT_LENGTH) || 500000; // characters
+    this.maxXmlSize = parseInt(process.env.CONTENT_INDEX_MAX_XML_SIZE) || 100 * 1024 * 1024; // Uncompressed XML read per document
+  }
+
+  canExtract(mimeType) {
+    if (!mimeType) return false;
+    return mimeType.startsWith('text/') || mimeType === PDF_MIME_TYPE || !!OFFICE_DOCUMENTS[mimeType];
+  }
+
+  // SQL condition matching the files whose type canExtract handles
+  getSupportedCondition(column = 'f.mime_type') {
+    const types = [PDF_MIME_TYPE, ...Object.keys(OFFICE_DOCUMENTS)].map(type => `'${type}'`);
+    return `(${column} LIKE 'text/%' OR ${column} IN (${types.join(', ')}))`;
+  }
+
+  // Text of a file's content, cleaned up and cut to maxTextLength. Rejects
+  // when the file can't be parsed.
+  async extractText(buffer, mimeType) {
+    let text;
+    if (mimeType === PDF_MIME_TYPE) {
+      text = (await pdfParse(buffer)).text;
+    } else if (OFFICE_DOCUMENTS[mimeType]) {
+      text = await this.extractOfficeText(buffer, OFFICE_DOCUMENTS[mimeType]);
+    } else {
+      text = buffer.toString('utf8');
+    }
+
+    return this.cleanText(text).slice(0, this.maxTextLength);
+  }
+
+  async extractOfficeText(buffer, { parts, text, paragraph }) {
+    const zipfile = await yauzl.fromBufferPromise(buffer, { validateEntrySizes: true, strictFileNames: false });
+    const pattern = new RegExp(`<${text}(?:\\s[^>]*)?>([^<]*)</${text}>|</(?:${paragraph})>`, 'g');
+
+    const contents = [];
+    let xmlSize = 0;
+    try {
+      for await (const entry of zipfile.eachEntry()) {
+        if (!parts.test(entry.fileName) || entry.isEncrypted()) continue;
+
+        // Stop at the limit instead of unpacking a zip bomb
+        xmlSize += entry.uncompressedSize;
+        if (xmlSize > this.maxXmlSize) break;
+
+        const xml = (await readStream(await zipfile.openReadStreamPromise(entry))).toString('utf8');
+
+        let partText = '';
+        for (const match of xml.matchAll(pattern)) {
+          partText += match[1] === undefined ? '\n' : decodeXmlEntities(match[1]);
+        }
+        contents.push({ name: entry.fileName, text: partText });
+      }
+    } finally {
+      if (zipfile.isOpen) zipfile.close();
+    }
+
+    // Parts are stored in any order; slide10 comes after slide9
+    contents.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    return contents.map(part => part.text).join('\n');
+  }
+
+  // Drops control characters (Postgres can't store NUL) and collapses runs
+  // of whitespace
+  cleanText(text) {
+    return text
+      .replace(/^\uFEFF/, '')
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, '')
+      .replace(/\r\n?/g, '\n')
+      .replace(/[ \t]+/g, ' ')
+      .replace(/\n\s*\n\s*\n+/g, '\n\n')
+      .trim();
+  }
+}
+
+module.exports = new TextExtractionService();
\ No newline at end of file
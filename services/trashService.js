@@ -0,0 +1,124 @@
+const { pool } = require('../config/database');
+const redisService = require('../config/redis');
+const fileService = require('./fileService');
+const folderService = require('./folderService');
+
+// Deleted files go to their owner's trash instead of being removed. A
+// trashed file leaves its folder (so folders can be deleted once everything
+// in them is trashed) but remembers the folder and its path from the root,
+// and keeps counting toward the owner's quota until it is purged: emptied
+// from the trash, or retentionDays after it was deleted.
+class TrashService {
+  constructor() {
+    this.retentionDays = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+  }
+
+  // Moves file (a files row) to its owner's trash. Resolves to the trashed
+  // row, or null when it was already trashed.
+  async trashFile(file, deletedBy) {
+    const folderPath = file.folder_id ? await folderService.getFolderPath(file.folder_id) : [];
+
+    const result = await pool.query(`
+      UPDATE files SET
+        deleted_at = CURRENT_TIMESTAMP, deleted_by = $2,
+        trashed_folder_id = folder_id, trashed_folder_path = $3, folder_id = NULL
+      WHERE id = $1 AND deleted_at IS NULL
+      RETURNING *
+    `, [file.id, deletedBy, JSON.stringify(folderPath)]);
+
+    // Trashed files can't be opened, not even through their share link
+    await redisService.invalidateFileCache(file.id);
+    if (file.public_share_token) {
+      await redisService.del(`public:${file.public_share_token}`);
+    }
+
+    return result.rows[0] || null;
+  }
+
+  // The user's trashed files, most recently deleted first, each with the
+  // time it will be purged
+  async listTrash(userId) {
+    const result = await pool.query(`
+      SELECT *, deleted_at + $2::int * INTERVAL '1 day' AS purge_at
+      FROM files
+      WHERE user_id = $1 AND deleted_at IS NOT NULL
+      ORDER BY deleted_at DESC
+    `, [userId, this.retentionDays]);
+
+    return result.rows;
+  }
+
+  async getTrashedFile(userId, fileId) {
+    const result = await pool.query(
+      'SELECT * FROM files WHERE id = $1 AND user_id = $2 AND deleted_at IS NOT NULL',
+      [fileId, userId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Puts file back in the folder it was deleted from. When that folder is
+  // gone, or its owner can no longer add files to it, the folder path is
+  // recreated from the owner's root. A name taken in the meantime gets a
+  // "name (n)" suffix. Resolves to the restored row.
+  async restoreFile(file) {
+    let folderId = file.trashed_folder_id;
+    if (!folderId || await fileService.checkUploadAccess(folderId, file.user_id)) {
+      folderId = await folderService.ensureFolderPath(file.user_id, null, file.trashed_folder_path || [], new Map());
+    }
+
+    let name = file.original_name;
+    if (await fileService.findFileByName(file.user_id, folderId, name, file.id)) {
+      name = await fileService.getAvailableName(file.user_id, folderId, name);
+    }
+
+    const result = await fileService.saveWithName({ userId: file.user_id, folderId, name, renameOnConflict: true }, (fileName) => pool.query(`
+      UPDATE files SET
+        folder_id = $2, original_name = $3,
+        deleted_at = NULL, deleted_by = NULL, trashed_folder_id = NULL, trashed_folder_path = NULL,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND deleted_at IS NOT NULL
+      RETURNING *
+    `, [file.id, folderId, fileName]));
+
+    return result.rows[0] || null;
+  }
+
+  // Permanently deletes every file in the user's trash. Resolves to the
+  // number of files deleted.
+  async emptyTrash(userId) {
+    const files = await this.listTrash(userId);
+
+    for (const file of files) {
+      await fileService.deleteFileRecord(file);
+    }
+
+    return files.length;
+  }
+
+  // Scheduled purge of files trashed more than retentionDays ago
+  async purgeExpired() {
+    try {
+      const result = await pool.query(
+        `SELECT * FROM files WHERE deleted_at < NOW() - $1::int * INTERVAL '1 day'`,
+        [this.retentionDays]
+      );
+
+      for (const file of result.rows) {
+        try {
+          await fileService.deleteFileRecord(file);
+        } catch (error) {
+          console.error(`Failed to purge trashed file ${file.id}:`, error);
+        }
+      }
+
+      if (result.rows.length > 0) {
+        console.log(`🧹 Purged ${result.rows.length} files from the trash`);
+      }
+    } catch (error) {
+      console.error('Failed to purge trashed files:', error);
+    }
+  }
+}
+
+module.exports = new TrashService();
\ No newline at end of file
@@ -0,0 +1,252 @@
+const fileService = require('./fileService');
+const folderService = require('./folderService');
+const archiveService = require('./archiveService');
+const b2Storage = require('./b2Storage');
+const jobService = require('./jobService');
+const storageReservationService = require('./storageReservationService');
+
+// Works through a spooled multi-file upload or an uploaded archive after the
+// request has been answered, reporting each file's state on the upload job.
+class UploadBatchService {
+  // Places each file in the folder named by its relative path (relativePaths
+  // lines up with files; without one the path is the file name itself) below
+  // targetFolderId, creating missing folders. Sets file.folderId and trims
+  // originalname to the base name. Returns the folders by path as
+  // { id, created }.
+  async resolveFolders(userId, targetFolderId, files, relativePaths) {
+    const resolved = new Map();
+
+    for (const [index, file] of files.entries()) {
+      file.folderId = targetFolderId || null;
+      if (file.rejectionReason) continue;
+
+      const parsed = folderService.parseRelativePath(relativePaths[index] || file.originalname);
+      if (!parsed) {
+        file.rejectionReason = 'Invalid relative path';
+        continue;
+      }
+
+      file.relativePath = [...parsed.folders, parsed.fileName].join('/');
+      file.originalname = parsed.fileName;
+      file.folderId = await folderService.ensureFolderPath(userId, targetFolderId, parsed.folders, resolved);
+    }
+
+    return Object.fromEntries(resolved);
+  }
+
+  // Creates the job for a batch received by the spooled storage engine.
+  // Files refused at receive time start out failed.
+  async createJob(userId, files) {
+    return jobService.createJob({
+      userId,
+      type: 'upload',
+      items: files.map(file => (file.rejectionReason
+        ? { originalName: file.originalname, state: 'failed', error: file.rejectionReason }
+        : { originalName: file.originalname, relativePath: file.relativePath, size: file.size }))
+    });
+  }
+
+  // Creates the job for extracting the file entries listed by archive scan()
+  async createExtractionJob(userId, entries) {
+    return jobService.createJob({
+      userId,
+      type: 'extract',
+      items: entries
+        .filter(entry => !entry.directory)
+        .map(entry => ({ relativePath: entry.name, size: entry.size }))
+    });
+  }
+
+  // Never rejects; per-file failures are recorded on the job. The storage
+  // reservation is released once every file has been handled.
+  async processBatch(job, files, { userId, reservationId, onConflict }) {
+    try {
+      for (const [index, file] of files.entries()) {
+        if (file.rejectionReason) {
+          await b2Storage.releaseFile(file);
+          continue;
+        }
+
+        try {
+          // Checked before uploading so skipped and failed files cost nothing
+          fileService.verifyChecksums(file.expectedChecksums, file);
+
+          const placement = await fileService.resolveNameConflict({
+            userId,
+            folderId: file.folderId,
+            name: file.originalname,
+            onConflict
+          });
+
+          if (placement.skip) {
+            await jobService.updateItem(job, index, { state: 'skipped', existingFileId: placement.existingFile.id });
+            continue;
+          }
+
+          await jobService.updateItem(job, index, { state: 'uploading' });
+          await b2Storage.uploadSpooledFile(file);
+
+          await this.saveFile(job, index, file, {
+            userId,
+            folderId: file.folderId,
+            placement,
+            declaredMimeType: file.mimetype,
+            reservationId
+          });
+        } catch (error) {
+          console.error('Failed to upload file:', file.originalname, error);
+          await b2Storage.discardFiles([file]);
+          await jobService.updateItem(job, index, { state: 'failed', error: error.message });
+        } finally {
+          await b2Storage.releaseFile(file);
+        }
+
+        // Large batches can outlive the reservation's default lifetime
+        await storageReservationService.extend(reservationId);
+      }
+    } catch (error) {
+      console.error(`Upload job ${job.id} error:`, error);
+
+      for (const file of files) {
+        await b2Storage.releaseFile(file).catch(() => {});
+      }
+      await this.failQueuedItems(job, 'Upload was interrupted');
+    } finally {
+      await this.finishJob(job, reservationId, 'Upload completed.', 'uploaded');
+    }
+  }
+
+  // Extracts a spooled archive that scan() accepted into targetFolderId,
+  // creating its folder hierarchy and one file per entry. The job's items
+  // are the archive's file entries in archive order.
+  async extractArchive(job, archiveFile, { userId, targetFolderId, archiveType, reservationId, onConflict }) {
+    const resolvedFolders = new Map();
+    let index = 0;
+
+    try {
+      for await (const entry of archiveService.readEntries(archiveFile.path, archiveType)) {
+        if (entry.type === 'other') continue;
+
+        const parsed = folderService.parseRelativePath(entry.name);
+
+        if (entry.type === 'directory') {
+          await folderService.ensureFolderPath(userId, targetFolderId, [...parsed.folders, parsed.fileName], resolvedFolders);
+          continue;
+        }
+
+        const itemIndex = index++;
+        let storedFile = null;
+
+        try {
+          if (entry.encrypted) {
+            throw new Error('Encrypted or unsupported archive entry');
+          }
+
+          const folderId = await folderService.ensureFolderPath(userId, targetFolderId, parsed.folders, resolvedFolders);
+          const placement = await fileService.resolveNameConflict({
+            userId,
+            folderId,
+            name: parsed.fileName,
+            onConflict
+          });
+
+          if (placement.skip) {
+            await jobService.updateItem(job, itemIndex, { state: 'skipped', existingFileId: placement.existingFile.id });
+            continue;
+          }
+
+          await jobService.updateItem(job, itemIndex, { state: 'uploading' });
+          storedFile = await b2Storage.storeFile({
+            originalname: parsed.fileName,
+            mimetype: 'application/octet-stream',
+            stream: await entry.open()
+          });
+
+          if (storedFile.rejectionReason) {
+            await jobService.updateItem(job, itemIndex, { state: 'failed', error: storedFile.rejectionReason });
+            continue;
+          }
+
+          await this.saveFile(job, itemIndex, storedFile, {
+            userId,
+            folderId,
+            placement,
+            declaredMimeType: null,
+            reservationId
+          });
+        } catch (error) {
+          console.error('Failed to extract archive entry:', entry.name, error);
+          if (storedFile) await b2Storage.discardFiles([storedFile]);
+          await jobService.updateItem(job, itemIndex, { state: 'failed', error: error.message });
+        } finally {
+          if (storedFile) await b2Storage.releaseFile(storedFile);
+        }
+
+        await storageReservationService.extend(reservationId);
+      }
+    } catch (error) {
+      console.error(`Archive extraction job ${job.id} error:`, error);
+      await this.failQueuedItems(job, 'Extraction was interrupted');
+    } finally {
+      await b2Storage.releaseFile(archiveFile).catch(() => {});
+      await this.finishJob(job, reservationId, 'Extraction completed.', 'extracted');
+    }
+  }
+
+  // Thumbnails a file already stored in Backblaze and saves its row
+  async saveFile(job, index, file, { userId, folderId, placement, declaredMimeType, reservationId }) {
+    await jobService.updateItem(job, index, { state: 'thumbnailing' });
+    const thumbnailData = await fileService.generateThumbnail(
+      file.thumbnailSource,
+      placement.name,
+      file.detectedMimeType
+    );
+
+    // Save to database and update user's storage usage
+    const fileRecord = await fileService.createFileRecord({
+      userId,
+      folderId,
+      name: file.filename,
+      originalName: placement.name,
+      mimeType: file.detectedMimeType,
+      declaredMimeType,
+      typeMismatch: file.typeMismatch,
+      size: file.size,
+      sha256: file.sha256,
+      sha1: file.sha1,
+      uploadResult: file.uploadResult,
+      thumbnailData,
+      reservationId,
+      replaceFile: placement.replaceFile,
+      renameOnConflict: placement.renameOnConflict,
+      newVersionOf: placement.newVersionOf
+    });
+
+    await jobService.updateItem(job, index, { state: 'done', file: fileRecord });
+  }
+
+  async failQueuedItems(job, reason) {
+    for (const item of job.items) {
+      if (item.state === 'queued') {
+        await jobService.updateItem(job, item.index, { state: 'failed', error: reason });
+      }
+    }
+  }
+
+  async finishJob(job, reservationId, summary, verb) {
+    try {
+      await storageReservationService.release(reservationId);
+    } catch (error) {
+      console.error('Failed to release storage reservation:', error);
+    }
+
+    const successful = job.items.filter(item => item.state === 'done').length;
+    const skipped = job.items.filter(item => item.state === 'skipped').length;
+    const failed = job.items.length - successful - skipped;
+    await jobService.completeJob(job, {
+      message: `${summary} ${successful} files ${verb} successfully, ${skipped} skipped, ${failed} failed.`
+    });
+  }
+}
+
+module.exports = new UploadBatchService();
\ No newline at end of file
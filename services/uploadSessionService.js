@@ -0,0 +1,452 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const backblazeService = require('../config/backblaze');
+const fileService = require('./fileService');
+const fileTypeService = require('./fileTypeService');
+const storageReservationService = require('./storageReservationService');
+
+class UploadSessionService {
+  constructor() {
+    this.partSize = backblazeService.partSize;
+    this.maxUploadSize = parseInt(process.env.UPLOAD_MAX_SIZE) || 5 * 1024 * 1024 * 1024; // 5GB
+    this.sessionTtlHours = parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24;
+    this.thumbnailSourceLimit = 50 * 1024 * 1024; // Largest image we download again to build a thumbnail
+    this.lockTtlSeconds = 60;
+    this.spoolDir = path.join(os.tmpdir(), 'bytecloud-uploads');
+    // Running SHA-256 and SHA-1 per upload, keyed by session id. Hash state
+    // can't be persisted, so after a restart the finished object is hashed
+    // instead.
+    this.contentHashes = new Map();
+  }
+
+  // Bytes that haven't filled a whole B2 part yet are kept on local disk.
+  // The file name carries the number of committed parts, so a crash between
+  // uploading a part and recording it never double-counts bytes.
+  getTailPath(uploadId, partCount) {
+    return path.join(this.spoolDir, `${uploadId}.${partCount}.part`);
+  }
+
+  async getTailSize(session) {
+    try {
+      const stats = await fs.promises.stat(this.getTailPath(session.id, session.part_sha1s.length));
+      return stats.size;
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+  }
+
+  async getOffset(session) {
+    if (session.completed_at) return parseInt(session.upload_length);
+    return parseInt(session.committed_offset) + await this.getTailSize(session);
+  }
+
+  // expectedChecksums are the client's { sha1, sha256 } for the whole upload
+  async createSession({ userId, folderId, originalName, mimeType, uploadLength, reservationId, onConflict, expectedChecksums = {} }) {
+    const fileExtension = path.extname(originalName);
+
+    const result = await pool.query(`
+      INSERT INTO upload_sessions (id, user_id, folder_id, file_name, original_name, mime_type, upload_length, reservation_id, on_conflict, expected_sha1, expected_sha256, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW() + $12 * INTERVAL '1 hour')
+      RETURNING *
+    `, [
+      crypto.randomUUID(),
+      userId,
+      folderId || null,
+      `${crypto.randomUUID()}${fileExtension}`,
+      originalName,
+      mimeType,
+      uploadLength,
+      reservationId || null,
+      onConflict || 'rename',
+      expectedChecksums.sha1 || null,
+      expectedChecksums.sha256 || null,
+      this.sessionTtlHours
+    ]);
+
+    return result.rows[0];
+  }
+
+  async getSession(uploadId, userId) {
+    const result = await pool.query(
+      'SELECT * FROM upload_sessions WHERE id = $1 AND user_id = $2 AND expires_at > NOW()',
+      [uploadId, userId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Claims an upload for a single PATCH or DELETE across all server
+  // instances. Resolves to { session, release } with the session as it was
+  // when the lock was taken, or null while another request holds it. The
+  // lock is renewed until released, and lapses on its own if this instance
+  // goes away.
+  async lockSession(session) {
+    const token = crypto.randomUUID();
+    const result = await pool.query(`
+      UPDATE upload_sessions SET lock_token = $1, locked_until = NOW() + $2 * INTERVAL '1 second'
+      WHERE id = $3 AND (locked_until IS NULL OR locked_until < NOW())
+      RETURNING *
+    `, [token, this.lockTtlSeconds, session.id]);
+
+    if (result.rows.length === 0) return null;
+
+    const renewLock = () => pool.query(
+      'UPDATE upload_sessions SET locked_until = NOW() + $1 * INTERVAL \'1 second\' WHERE id = $2 AND lock_token = $3',
+      [this.lockTtlSeconds, session.id, token]
+    ).catch((error) => {
+      console.error(`Failed to renew lock on upload ${session.id}:`, error);
+    });
+    const renewal = setInterval(renewLock, this.lockTtlSeconds * 1000 / 3);
+    renewal.unref();
+
+    const release = async () => {
+      clearInterval(renewal);
+      await pool.query(
+        'UPDATE upload_sessions SET lock_token = NULL, locked_until = NULL WHERE id = $1 AND lock_token = $2',
+        [session.id, token]
+      );
+    };
+
+    return { session: result.rows[0], release };
+  }
+
+  // Appends the request body to the upload, flushing every full part to B2.
+  // Returns the new offset and, once the last byte has arrived, the file row.
+  async writeChunks(session, stream) {
+    await fs.promises.mkdir(this.spoolDir, { recursive: true });
+
+    const uploadLength = parseInt(session.upload_length);
+    let committedOffset = parseInt(session.committed_offset);
+    let tailSize = await this.getTailSize(session);
+    const contentHash = this.getContentHash(session.id, committedOffset + tailSize);
+
+    for await (const chunk of stream) {
+      // Anything past the declared Upload-Length is ignored
+      const remaining = uploadLength - committedOffset - tailSize;
+      const data = chunk.length > remaining ? chunk.subarray(0, remaining) : chunk;
+      if (data.length === 0) continue;
+
+      try {
+        await fs.promises.appendFile(this.getTailPath(session.id, session.part_sha1s.length), data);
+      } catch (error) {
+        this.contentHashes.delete(session.id);
+        throw error;
+      }
+      tailSize += data.length;
+
+      if (!session.type_checked && committedOffset + tailSize >= fileTypeService.sniffLength) {
+        await this.checkContentType(session);
+      }
+
+      if (contentHash) {
+        contentHash.sha256.update(data);
+        contentHash.sha1.update(data);
+        contentHash.offset += data.length;
+      }
+
+      // Always keep at least one byte back so the last part is never empty
+      while (tailSize >= this.partSize && committedOffset + this.partSize < uploadLength) {
+        await this.flushPart(session);
+        committedOffset += this.partSize;
+        tailSize -= this.partSize;
+      }
+    }
+
+    await pool.query(
+      'UPDATE upload_sessions SET expires_at = NOW() + $1 * INTERVAL \'1 hour\' WHERE id = $2',
+      [this.sessionTtlHours, session.id]
+    );
+    await storageReservationService.extend(session.reservation_id, this.sessionTtlHours * 60);
+
+    if (committedOffset + tailSize < uploadLength) {
+      return { offset: committedOffset + tailSize, file: null };
+    }
+
+    const file = await this.completeSession(session);
+    return { offset: uploadLength, file };
+  }
+
+  // Returns the running hash if it covers exactly the bytes stored so far
+  getContentHash(uploadId, offset) {
+    let contentHash = this.contentHashes.get(uploadId);
+
+    if (!contentHash && offset === 0) {
+      contentHash = { sha256: crypto.createHash('sha256'), sha1: crypto.createHash('sha1'), offset: 0 };
+      this.contentHashes.set(uploadId, contentHash);
+    }
+
+    if (contentHash && contentHash.offset !== offset) {
+      this.contentHashes.delete(uploadId);
+      return null;
+    }
+
+    return contentHash || null;
+  }
+
+  // Sniffs the real content type from the first bytes, which are still in the
+  // local tail because no part is flushed before the sniff length is reached.
+  // Blocked content throws before any of it reaches Backblaze.
+  async checkContentType(session) {
+    const header = Buffer.alloc(fileTypeService.sniffLength);
+    let bytesRead = 0;
+
+    try {
+      const handle = await fs.promises.open(this.getTailPath(session.id, 0), 'r');
+      try {
+        ({ bytesRead } = await handle.read(header, 0, header.length, 0));
+      } finally {
+        await handle.close();
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const detection = fileTypeService.detect(header.subarray(0, bytesRead), session.original_name);
+
+    const reason = fileTypeService.getBlockReason({
+      fileName: session.original_name,
+      mimeTypes: [detection.mimeType]
+    });
+    if (reason) {
+      const error = new Error(reason);
+      error.status = 415;
+      error.code = 'BLOCKED_FILE_TYPE';
+      throw error;
+    }
+
+    await pool.query(`
+      UPDATE upload_sessions
+      SET declared_mime_type = mime_type, mime_type = $1, type_mismatch = $2, type_checked = TRUE
+      WHERE id = $3
+    `, [detection.mimeType, detection.mismatch, session.id]);
+
+    session.declared_mime_type = session.mime_type;
+    session.mime_type = detection.mimeType;
+    session.type_mismatch = detection.mismatch;
+    session.type_checked = true;
+  }
+
+  async hashStoredObject(fileName) {
+    const sha256 = crypto.createHash('sha256');
+    const sha1 = crypto.createHash('sha1');
+    const stream = await backblazeService.downloadFileStream(fileName);
+
+    for await (const chunk of stream) {
+      sha256.update(chunk);
+      sha1.update(chunk);
+    }
+
+    return { sha256: sha256.digest('hex'), sha1: sha1.digest('hex') };
+  }
+
+
+  async flushPart(session) {
+    const partCount = session.part_sha1s.length;
+    const tailPath = this.getTailPath(session.id, partCount);
+    const tailBuffer = await fs.promises.readFile(tailPath);
+
+    if (!session.large_file_id) {
+      session.large_file_id = await backblazeService.startLargeFile(session.file_name, session.mime_type);
+      await pool.query(
+        'UPDATE upload_sessions SET large_file_id = $1 WHERE id = $2',
+        [session.large_file_id, session.id]
+      );
+    }
+
+    const partSha1 = await backblazeService.uploadPart(
+      session.large_file_id,
+      partCount + 1,
+      tailBuffer.subarray(0, this.partSize)
+    );
+
+    // Write the new tail before recording the part so it is never missing
+    await fs.promises.writeFile(this.getTailPath(session.id, partCount + 1), tailBuffer.subarray(this.partSize));
+
+    session.part_sha1s = [...session.part_sha1s, partSha1];
+    await pool.query(
+      'UPDATE upload_sessions SET committed_offset = committed_offset + $1, part_sha1s = $2 WHERE id = $3',
+      [this.partSize, JSON.stringify(session.part_sha1s), session.id]
+    );
+
+    await fs.promises.rm(tailPath, { force: true });
+  }
+
+  // Stores the final bytes and creates the same files row, thumbnail and
+  // storage usage update as a regular upload.
+  async completeSession(session) {
+    // Uploads shorter than the sniff length are checked here
+    if (!session.type_checked) {
+      await this.checkContentType(session);
+    }
+
+    // Resolved before the last bytes are stored, so a skipped or refused
+    // upload leaves nothing behind
+    const placement = await fileService.resolveNameConflict({
+      userId: session.user_id,
+      folderId: session.folder_id,
+      name: session.original_name,
+      onConflict: session.on_conflict
+    });
+
+    if (placement.skip) {
+      return this.skipSession(session, placement.existingFile);
+    }
+
+    const tailPath = this.getTailPath(session.id, session.part_sha1s.length);
+    const tailBuffer = await this.readTail(tailPath);
+    const size = parseInt(session.upload_length);
+    const expectedChecksums = { sha1: session.expected_sha1, sha256: session.expected_sha256 };
+
+    // With the running hashes the content is verified before its last bytes
+    // are stored; otherwise only once the stored object can be hashed
+    const contentHash = this.contentHashes.get(session.id);
+    let checksums = null;
+    if (contentHash && contentHash.offset === size) {
+      checksums = { sha256: contentHash.sha256.digest('hex'), sha1: contentHash.sha1.digest('hex') };
+      fileService.verifyChecksums(expectedChecksums, checksums);
+    }
+    this.contentHashes.delete(session.id);
+
+    let uploadResult;
+    let thumbnailSource = tailBuffer;
+
+    if (!session.large_file_id) {
+      uploadResult = await backblazeService.uploadFile(tailBuffer, session.file_name, session.mime_type);
+    } else {
+      const lastPartSha1 = await backblazeService.uploadPart(
+        session.large_file_id,
+        session.part_sha1s.length + 1,
+        tailBuffer
+      );
+      uploadResult = await backblazeService.finishLargeFile(
+        session.large_file_id,
+        [...session.part_sha1s, lastPartSha1]
+      );
+
+      // Only images need the real bytes; other thumbnails are placeholders
+      thumbnailSource = null;
+      if (session.mime_type.startsWith('image/') && size <= this.thumbnailSourceLimit) {
+        thumbnailSource = await backblazeService.downloadFile(session.file_name);
+      }
+    }
+
+    if (!checksums) {
+      checksums = await this.hashStoredObject(session.file_name);
+
+      try {
+        fileService.verifyChecksums(expectedChecksums, checksums);
+      } catch (error) {
+        await backblazeService.deleteFile(uploadResult.fileId, session.file_name).catch(() => {});
+        throw error;
+      }
+    }
+
+    const thumbnailData = await fileService.generateThumbnail(thumbnailSource, session.original_name, session.mime_type);
+
+    const fileRecord = await fileService.createFileRecord({
+      userId: session.user_id,
+      folderId: session.folder_id,
+      name: session.file_name,
+      originalName: placement.name,
+      mimeType: session.mime_type,
+      declaredMimeType: session.declared_mime_type,
+      typeMismatch: session.type_mismatch,
+      size,
+      sha256: checksums.sha256,
+      sha1: checksums.sha1,
+      uploadResult,
+      thumbnailData,
+      reservationId: session.reservation_id,
+      replaceFile: placement.replaceFile,
+      renameOnConflict: placement.renameOnConflict,
+      newVersionOf: placement.newVersionOf
+    });
+    await storageReservationService.release(session.reservation_id);
+
+    await pool.query(
+      'UPDATE upload_sessions SET committed_offset = upload_length, file_id = $1, completed_at = NOW() WHERE id = $2',
+      [fileRecord.id, session.id]
+    );
+    await fs.promises.rm(tailPath, { force: true });
+
+    return fileRecord;
+  }
+
+  // Finishes an upload whose file was skipped by the onConflict policy. The
+  // session points at the existing file instead.
+  async skipSession(session, existingFile) {
+    this.contentHashes.delete(session.id);
+
+    if (session.large_file_id) {
+      try {
+        await backblazeService.cancelLargeFile(session.large_file_id);
+      } catch (b2Error) {
+        console.error(`Failed to cancel large file for upload ${session.id}:`, b2Error);
+      }
+    }
+
+    await storageReservationService.release(session.reservation_id);
+    await pool.query(
+      'UPDATE upload_sessions SET committed_offset = upload_length, file_id = $1, completed_at = NOW() WHERE id = $2',
+      [existingFile.id, session.id]
+    );
+    await fs.promises.rm(this.getTailPath(session.id, session.part_sha1s.length), { force: true });
+
+    return existingFile;
+  }
+
+  async readTail(tailPath) {
+    try {
+      return await fs.promises.readFile(tailPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return Buffer.alloc(0);
+      throw error;
+    }
+  }
+
+  async removeSessionData(session) {
+    this.contentHashes.delete(session.id);
+
+    if (session.large_file_id && !session.completed_at) {
+      try {
+        await backblazeService.cancelLargeFile(session.large_file_id);
+      } catch (b2Error) {
+        console.error(`Failed to cancel large file for upload ${session.id}:`, b2Error);
+      }
+    }
+
+    await fs.promises.rm(this.getTailPath(session.id, session.part_sha1s.length), { force: true });
+    await storageReservationService.release(session.reservation_id);
+    await pool.query('DELETE FROM upload_sessions WHERE id = $1', [session.id]);
+  }
+
+  async terminateSession(session) {
+    await this.removeSessionData(session);
+  }
+
+  async cleanupExpiredSessions() {
+    try {
+      // Uploads still being written to are left alone until their lock lapses
+      const result = await pool.query(`
+        SELECT * FROM upload_sessions
+        WHERE expires_at <= NOW() AND (locked_until IS NULL OR locked_until < NOW())
+      `);
+
+      for (const session of result.rows) {
+        await this.removeSessionData(session);
+      }
+
+      if (result.rows.length > 0) {
+        console.log(`🧹 Removed ${result.rows.length} expired upload sessions`);
+      }
+    } catch (error) {
+      console.error('Upload session cleanup error:', error);
+    }
+  }
+}
+
+module.exports = new UploadSessionService();
\ No newline at end of file
@@ -0,0 +1,234 @@
+const { pool } = require('../config/database');
+const backblazeService = require('../config/backblaze');
+const redisService = require('../config/redis');
+const blobService = require('./blobService');
+const objectCache = require('./objectCache');
+const contentIndexService = require('./contentIndexService');
+
+// Columns describing a file's content, shared by files and file_versions
+const CONTENT_COLUMNS = [
+  'name',
+  'mime_type',
+  'declared_mime_type',
+  'type_mismatch',
+  'size',
+  'backblaze_file_id',
+  'backblaze_url',
+  'blob_id',
+  'content_sha256',
+  'content_sha1',
+  'thumbnail_path',
+  'thumbnail_backblaze_file_id',
+  'has_thumbnail'
+];
+
+// Archives the current content of file $1 as a version row
+const ARCHIVE_CURRENT_CONTENT = `
+  INSERT INTO file_versions (file_id, version_number, ${CONTENT_COLUMNS.join(', ')}, uploaded_at)
+  SELECT id, version_number, ${CONTENT_COLUMNS.join(', ')}, COALESCE(version_created_at, created_at)
+  FROM files WHERE id = $1
+`;
+
+// A file keeps its id, name, folder and shares when new content is uploaded;
+// the content it had before moves to file_versions. Stored versions count
+// toward the file owner's quota until they are deleted, either explicitly or
+// by the retention limits (maxVersions per file, maxAgeDays since a version
+// was replaced).
+class VersionService {
+  constructor() {
+    this.maxVersions = parseInt(process.env.FILE_VERSION_MAX_COUNT) || 10;
+    this.maxAgeDays = process.env.FILE_VERSION_MAX_AGE_DAYS !== undefined
+      ? parseInt(process.env.FILE_VERSION_MAX_AGE_DAYS) || 0 // 0 keeps versions regardless of age
+      : 90;
+  }
+
+  // Makes content ({ blob, mimeType, declaredMimeType, typeMismatch, size,
+  // sha256, sha1, thumbnailData }, with blob already acquired) the current
+  // version of file, archiving what it had before. Resolves to the updated
+  // row.
+  async addVersion(file, { blob, mimeType, declaredMimeType, typeMismatch, size, sha256, sha1, thumbnailData }) {
+    // The indexed text goes in the same statement, so the indexer never sees
+    // the new content next to the old text
+    const result = await pool.query(`
+      WITH archived AS (${ARCHIVE_CURRENT_CONTENT}), unindexed AS (
+        DELETE FROM file_contents WHERE file_id = $1
+      )
+      UPDATE files SET
+        name = $2, mime_type = $3, declared_mime_type = $4, type_mismatch = $5, size = $6,
+        backblaze_file_id = $7, backblaze_url = $8, blob_id = $9, content_sha256 = $10, content_sha1 = $11,
+        thumbnail_path = $12, thumbnail_backblaze_file_id = $13, has_thumbnail = $14,
+        content_index_status = NULL, content_indexed_at = NULL,
+        version_number = version_number + 1, version_created_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [
+      file.id,
+      blob.backblaze_file_name,
+      mimeType,
+      declaredMimeType || null,
+      !!typeMismatch,
+      size,
+      blob.backblaze_file_id,
+      backblazeService.buildDownloadUrl(blob.backblaze_file_name),
+      blob.id,
+      sha256,
+      sha1 || null,
+      thumbnailData ? thumbnailData.thumbnailName : null,
+      thumbnailData ? thumbnailData.thumbnailFileId : null,
+      !!thumbnailData
+    ]);
+
+    if (result.rows.length === 0) {
+      const error = new Error('File was deleted while the new version was uploaded');
+      error.status = 409;
+      error.code = 'NAME_CONFLICT';
+      throw error;
+    }
+
+    await this.invalidateCaches(file);
+    await this.applyRetention(file.id);
+    contentIndexService.reindexFile(file.id);
+
+    return result.rows[0];
+  }
+
+  // Versions of a file, newest first
+  async listVersions(fileId) {
+    const result = await pool.query(
+      'SELECT * FROM file_versions WHERE file_id = $1 ORDER BY version_number DESC',
+      [fileId]
+    );
+
+    return result.rows;
+  }
+
+  async getVersion(fileId, versionId) {
+    const result = await pool.query(
+      'SELECT * FROM file_versions WHERE id = $1 AND file_id = $2',
+      [versionId, fileId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Makes an earlier version current again. The content it replaces is kept
+  // as a version in turn, so a restore can always be undone. Resolves to the
+  // updated file row, or null when the version doesn't exist.
+  async restoreVersion(file, versionId) {
+    const result = await pool.query(`
+      WITH restored AS (
+        DELETE FROM file_versions WHERE id = $2 AND file_id = $1
+        RETURNING *
+      ), archived AS (
+        ${ARCHIVE_CURRENT_CONTENT} AND EXISTS (SELECT 1 FROM restored)
+      ), unindexed AS (
+        DELETE FROM file_contents WHERE file_id = $1 AND EXISTS (SELECT 1 FROM restored)
+      )
+      UPDATE files f SET
+        ${CONTENT_COLUMNS.map(column => `${column} = r.${column}`).join(', ')},
+        content_index_status = NULL, content_indexed_at = NULL,
+        version_number = f.version_number + 1, version_created_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      FROM restored r
+      WHERE f.id = $1
+      RETURNING f.*
+    `, [file.id, versionId]);
+
+    if (result.rows.length === 0) return null;
+
+    await this.invalidateCaches(file);
+    await this.applyRetention(file.id);
+    contentIndexService.reindexFile(file.id);
+
+    return result.rows[0];
+  }
+
+  async deleteVersion(fileId, versionId) {
+    const result = await pool.query(`
+      DELETE FROM file_versions v USING files f
+      WHERE v.id = $1 AND v.file_id = $2 AND f.id = v.file_id
+      RETURNING v.*, f.user_id
+    `, [versionId, fileId]);
+
+    await this.releaseVersions(result.rows);
+    return result.rows[0] || null;
+  }
+
+  // Deletes every version of a file that is itself being deleted
+  async deleteAllVersions(file) {
+    const result = await pool.query(
+      'DELETE FROM file_versions WHERE file_id = $1 RETURNING *, $2::int AS user_id',
+      [file.id, file.user_id]
+    );
+
+    await this.releaseVersions(result.rows);
+  }
+
+  // Deletes the versions of fileId beyond maxVersions or older than
+  // maxAgeDays
+  async applyRetention(fileId) {
+    const result = await pool.query(`
+      DELETE FROM file_versions v USING files f
+      WHERE v.file_id = $1 AND f.id = v.file_id AND (
+        v.id IN (SELECT id FROM file_versions WHERE file_id = $1 ORDER BY version_number DESC OFFSET $2)
+        OR ($3::int > 0 AND v.created_at < NOW() - $3::int * INTERVAL '1 day')
+      )
+      RETURNING v.*, f.user_id
+    `, [fileId, this.maxVersions, this.maxAgeDays]);
+
+    await this.releaseVersions(result.rows);
+  }
+
+  // Periodic sweep for versions that aged out without their file changing
+  async sweepExpiredVersions() {
+    if (this.maxAgeDays <= 0) return;
+
+    try {
+      const result = await pool.query(`
+        DELETE FROM file_versions v USING files f
+        WHERE f.id = v.file_id AND v.created_at < NOW() - $1::int * INTERVAL '1 day'
+        RETURNING v.*, f.user_id
+      `, [this.maxAgeDays]);
+
+      await this.releaseVersions(result.rows);
+
+      if (result.rows.length > 0) {
+        console.log(`🧹 Deleted ${result.rows.length} expired file versions`);
+      }
+    } catch (error) {
+      console.error('Failed to sweep expired file versions:', error);
+    }
+  }
+
+  // Gives deleted versions' sizes back to the file owners and deletes their
+  // stored objects. rows carry the owner as user_id.
+  async releaseVersions(rows) {
+    for (const version of rows) {
+      await pool.query(
+        'UPDATE users SET storage_used = storage_used - $1 WHERE id = $2',
+        [version.size, version.user_id]
+      );
+
+      objectCache.invalidate(version.name);
+      objectCache.invalidate(version.thumbnail_path);
+
+      try {
+        await blobService.releaseFileContent(version);
+        if (version.thumbnail_backblaze_file_id) {
+          await backblazeService.deleteFile(version.thumbnail_backblaze_file_id, version.thumbnail_path);
+        }
+      } catch (b2Error) {
+        console.error(`Backblaze deletion error for file version ${version.id}:`, b2Error);
+      }
+    }
+  }
+
+  // Cached metadata and share data describe the content that was replaced
+  async invalidateCaches(file) {
+    await redisService.invalidateFileCache(file.id);
+    if (file.public_share_token) {
+      await redisService.del(`public:${file.public_share_token}`);
+    }
+  }
+}
+
+module.exports = new VersionService();
\ No newline at end of file
@@ -0,0 +1,191 @@
+const path = require('path');
+const { once } = require('events');
+const archiver = require('archiver');
+const { pool } = require('../config/database');
+const storageProxy = require('./storageProxy');
+const folderService = require('./folderService');
+
+// Names in the archive can't contain path separators of their own
+const sanitizeName = (name) => name.replace(/[\\/]/g, '_').trim() || 'unnamed';
+
+// Builds ZIP downloads of folders and selected files on the fly. Objects are
+// fetched through the storage proxy one at a time and piped through the archiver into
+// the response, so nothing is spooled to memory or disk.
+class ZipDownloadService {
+  constructor() {
+    this.maxEntries = parseInt(process.env.ZIP_MAX_ENTRIES) || 10000;
+  }
+
+  // Selected files the user may read: their own, or any in a folder they own
+  // or that is shared with them
+  async getReadableFiles(userId, fileIds) {
+    const result = await pool.query(`
+      SELECT f.*
+      FROM files f
+      LEFT JOIN folders d ON f.folder_id = d.id
+      LEFT JOIN permissions p ON f.folder_id = p.folder_id AND p.shared_with_user_id = $1
+      WHERE f.id = ANY($2::int[]) AND (f.user_id = $1 OR d.user_id = $1 OR p.shared_with_user_id = $1) AND f.deleted_at IS NULL
+    `, [userId, fileIds]);
+
+    return result.rows;
+  }
+
+  // Lists what goes into the archive as { path, file } entries (file is null
+  // for folders, so empty ones are kept). The contents of folderId go to the
+  // top level, each of folderIds becomes a top-level directory, and
+  // subfolders the user can't read are left out. Resolves to
+  // { entries, rootFolder } or { denial } with the status and body the route
+  // should respond with.
+  async collectEntries(userId, { folderId = null, fileIds = [], folderIds = [] }) {
+    const entries = [];
+    const usedPaths = new Set();
+
+    // Same-name siblings are told apart the way uploads are: "name (n).ext"
+    const addEntry = (directory, name, file) => {
+      const extension = file ? path.extname(name) : '';
+      const baseName = extension ? name.slice(0, -extension.length) : name;
+      let entryPath = directory ? `${directory}/${name}` : name;
+      let suffix = 1;
+
+      while (usedPaths.has(entryPath.toLowerCase())) {
+        const candidate = `${baseName} (${suffix++})${extension}`;
+        entryPath = directory ? `${directory}/${candidate}` : candidate;
+      }
+
+      usedPaths.add(entryPath.toLowerCase());
+      entries.push({ path: entryPath, file });
+      return entryPath;
+    };
+
+    const requestedFolderIds = folderId ? [folderId, ...folderIds] : folderIds;
+    const files = fileIds.length > 0 ? await this.getReadableFiles(userId, fileIds) : [];
+    const folders = requestedFolderIds.length > 0
+      ? await folderService.getReadableFolders(userId, 'f.id = ANY($2::int[])', [requestedFolderIds])
+      : [];
+
+    const missingFiles = fileIds.filter(id => !files.some(file => file.id === parseInt(id)));
+    const missingFolders = requestedFolderIds.filter(id => !folders.some(folder => folder.id === parseInt(id)));
+    if (missingFiles.length > 0 || missingFolders.length > 0) {
+      return {
+        denial: {
+          status: 404,
+          body: {
+            error: 'Some items were not found or access was denied',
+            notFound: { fileIds: missingFiles, folderIds: missingFolders }
+          }
+        }
+      };
+    }
+
+    const rootFolder = folderId ? folders.find(folder => folder.id === parseInt(folderId)) : null;
+    const queue = [];
+    const visited = new Set();
+
+    const addFolderContents = async (folder, folderPath) => {
+      visited.add(folder.id);
+
+      const folderFiles = await pool.query(
+        'SELECT * FROM files WHERE folder_id = $1 ORDER BY original_name',
+        [folder.id]
+      );
+      for (const file of folderFiles.rows) {
+        addEntry(folderPath, sanitizeName(file.original_name), file);
+      }
+
+      const subfolders = await folderService.getReadableFolders(userId, 'f.parent_folder_id = $2', [folder.id]);
+      for (const subfolder of subfolders) {
+        queue.push({ folder: subfolder, parentPath: folderPath });
+      }
+    };
+
+    if (rootFolder) {
+      await addFolderContents(rootFolder, '');
+    }
+    for (const file of files) {
+      addEntry('', sanitizeName(file.original_name), file);
+    }
+    for (const folder of folders) {
+      if (folder !== rootFolder) queue.push({ folder, parentPath: '' });
+    }
+
+    while (queue.length > 0 && entries.length <= this.maxEntries) {
+      const { folder, parentPath } = queue.shift();
+      if (visited.has(folder.id)) continue;
+
+      await addFolderContents(folder, addEntry(parentPath, sanitizeName(folder.name), null));
+    }
+
+    if (entries.length > this.maxEntries) {
+      return {
+        denial: {
+          status: 413,
+          body: { error: `Downloads are limited to ${this.maxEntries} files and folders` }
+        }
+      };
+    }
+
+    return { entries, rootFolder };
+  }
+
+  // Streams the entries as a ZIP into res. Once the response has started a
+  // failure can only be reported by aborting it, which leaves the client
+  // with a truncated archive.
+  async streamZip(res, entries) {
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    let aborted = false;
+    let current = null;
+
+    // A client that goes away stops the download that is in progress
+    const closed = new Promise((resolve) => {
+      res.on('close', () => {
+        if (!res.writableFinished) {
+          aborted = true;
+          if (current) current.destroy();
+          archive.abort();
+        }
+        resolve();
+      });
+    });
+    archive.on('warning', (warning) => console.warn('ZIP download warning:', warning));
+    archive.on('error', (error) => {
+      console.error('ZIP download error:', error);
+      res.destroy(error);
+    });
+
+    archive.pipe(res);
+
+    try {
+      for (const entry of entries) {
+        if (aborted) return;
+
+        const added = once(archive, 'entry');
+        added.catch(() => {});
+
+        if (entry.file) {
+          // Appended one at a time so only one Backblaze download is open
+          current = (await storageProxy.open(entry.file.name)).stream;
+          if (aborted) {
+            current.destroy();
+            return;
+          }
+
+          archive.append(current, { name: entry.path, date: entry.file.updated_at || entry.file.created_at });
+        } else {
+          archive.append(null, { name: `${entry.path}/`, type: 'directory' });
+        }
+
+        await Promise.race([added, closed]);
+      }
+
+      await archive.finalize();
+    } catch (error) {
+      if (aborted) return;
+
+      console.error('ZIP download stream error:', error);
+      archive.abort();
+      res.destroy(error);
+    }
+  }
+}
+
+module.exports = new ZipDownloadService();
\ No newline at end of file
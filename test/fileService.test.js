@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+// Thumbnails aren't involved here, and loading them needs sharp's native build
+require.cache[path.resolve(__dirname, '../services/thumbnailService.js')] = {
+  exports: {}
+};
+
+const { pool } = require('../config/database');
+const fileService = require('../services/fileService');
+const versionService = require('../services/versionService');
+const blobService = require('../services/blobService');
+const objectCache = require('../services/objectCache');
+
+test('deleteFileRecord removes the row and releases the stored content', async (t) => {
+  const queries = [];
+  const released = [];
+  const invalidated = [];
+
+  t.mock.method(pool, 'query', async (sql, params) => {
+    queries.push({ sql, params });
+    return { rows: [] };
+  });
+  t.mock.method(versionService, 'deleteAllVersions', async () => {});
+  t.mock.method(blobService, 'releaseFileContent', async (file) => {
+    released.push(file.id);
+  });
+  t.mock.method(objectCache, 'invalidate', (key) => {
+    invalidated.push(key);
+  });
+
+  await fileService.deleteFileRecord({
+    id: 7,
+    user_id: 3,
+    size: 1024,
+    name: 'files/a.txt',
+    thumbnail_path: 'thumbnails/a.jpg'
+  });
+
+  assert.ok(queries.some(({ sql, params }) => sql.includes('DELETE FROM files') && params[0] === 7));
+  assert.ok(queries.some(({ sql, params }) => sql.includes('storage_used - $1') && params[0] === 1024 && params[1] === 3));
+  assert.deepStrictEqual(invalidated, ['files/a.txt', 'thumbnails/a.jpg']);
+  assert.deepStrictEqual(released, [7]);
+});